@@ -1,32 +1,200 @@
 "use strict";
 
-class Page {
-  constructor(browser) {
+const EventEmitter = require("events");
+const fs = require("fs");
+const { PNG } = require("pngjs");
+const util = require("util");
+
+const writeFileAsync = util.promisify(fs.writeFile);
+
+/**
+ * A white 2x2 image, used as the content of every screenshot.
+ * @type {Buffer}
+ */
+const imageContent = (() => {
+  const image = new PNG({ width: 2, height: 2 });
+  image.data.fill(0xFF);
+  return PNG.sync.write(image);
+})();
+
+class Page extends EventEmitter {
+  constructor(browser, context = null) {
+    super();
     this.browser = browser;
+    this.context = context;
+    this.closed = false;
+    this._viewport = null;
+    this.userAgent = null;
+    this.extraHTTPHeaders = {};
+    this.cookies = [];
+    this.defaultNavigationTimeout = 30000;
+    this.currentUrl = "about:blank";
+    // selectors of elements that exist in the page
+    this.elements = [];
+  }
+
+  url() {
+    return this.currentUrl;
+  }
+
+  async goto(url) {
+    this.currentUrl = url;
+  }
+
+  async $(selector) {
+    return this.elements.includes(selector) ? new ElementHandle(this, selector) : null;
+  }
+
+  viewport() {
+    return this._viewport;
+  }
+
+  async setViewport(viewport) {
+    this._viewport = viewport;
+  }
+
+  async setUserAgent(userAgent) {
+    this.userAgent = userAgent;
+  }
+
+  async setExtraHTTPHeaders(headers) {
+    this.extraHTTPHeaders = headers;
+  }
+
+  async setCookie(...cookies) {
+    Array.prototype.push.apply(this.cookies, cookies);
+  }
+
+  setDefaultNavigationTimeout(timeout) {
+    this.defaultNavigationTimeout = timeout;
+  }
+
+  async evaluate(fn, ...args) {
+    this.browser.evaluations.push([fn.name, ...args]);
+  }
+
+  async close() {
+    this.closed = true;
+  }
+
+  isClosed() {
+    return this.closed;
   }
 
   async screenshot(opts = {}) {
     this.browser.screenshots.push(opts.path);
+    if (opts.path !== undefined) {
+      await writeFileAsync(opts.path, imageContent);
+    }
+    return opts.encoding === "base64" ? imageContent.toString("base64") : imageContent;
+  }
+
+  async pdf(opts = {}) {
+    this.browser.pdfs.push(opts);
+    if (opts.path !== undefined) {
+      await writeFileAsync(opts.path, "%PDF-1.4\n");
+    }
+    return Buffer.from("%PDF-1.4\n");
+  }
+}
+
+class ElementHandle {
+  constructor(page, selector) {
+    this.page = page;
+    this.selector = selector;
+  }
+
+  executionContext() {
+    const page = this.page;
+    return {
+      evaluate: (fn, ...args) => page.evaluate(fn, ...args),
+      frame   : () => ({ url: () => page.url() }),
+    };
+  }
+
+  async screenshot(opts = {}) {
+    return this.page.screenshot(opts);
+  }
+}
+
+class BrowserContext {
+  constructor(browser) {
+    this._browser = browser;
+    this.closed = false;
+  }
+
+  browser() {
+    return this._browser;
+  }
+
+  async newPage() {
+    const page = new Page(this._browser, this);
+    this._browser.allPages.push(page);
+    return page;
+  }
+
+  async pages() {
+    return this._browser.allPages.filter(page => page.context === this && !page.isClosed());
+  }
+
+  async close() {
+    this.closed = true;
+    for (const page of await this.pages()) {
+      await page.close();
+    }
   }
 }
 
 class Browser {
-  constructor() {
+  constructor(launchOptions) {
+    this.launchOptions = launchOptions;
     this.tasks = [];
     this.hooks = [];
     this.screenshots = [];
+    this.pdfs = [];
+    this.evaluations = [];
+    this.allPages = [];
+    this.contexts = [];
+    this.closed = false;
+  }
+
+  async createIncognitoBrowserContext() {
+    const context = new BrowserContext(this);
+    this.contexts.push(context);
+    return context;
   }
 
   async newPage() {
-    return new Page(this);
+    const page = new Page(this);
+    this.allPages.push(page);
+    return page;
+  }
+
+  async pages() {
+    return this.allPages.filter(page => !page.isClosed());
   }
 
   async close() {
+    this.closed = true;
   }
 }
 
 module.exports = {
-  async launch() {
-    return new Browser();
+  async launch(opts) {
+    return new Browser(opts);
+  },
+  devices: {
+    "iPhone X": {
+      name     : "iPhone X",
+      userAgent: "Mozilla/5.0 (iPhone)",
+      viewport : {
+        width            : 375,
+        height           : 812,
+        deviceScaleFactor: 3,
+        isMobile         : true,
+        hasTouch         : true,
+        isLandscape      : false,
+      },
+    },
   },
 };
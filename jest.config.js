@@ -23,7 +23,7 @@ module.exports = {
   collectCoverage: true,
 
   // An array of glob patterns indicating a set of files for which coverage information should be collected
-  collectCoverageFrom: ["lib/**/*.js", "!**/*.test.js"],
+  collectCoverageFrom: ["lib/**/*.js", "!**/*.test.js", "!**/__tests__/helpers/**"],
 
   // The directory where Jest should output its coverage files
   coverageDirectory: "coverage",
@@ -146,9 +146,10 @@ module.exports = {
   // ],
 
   // An array of regexp pattern strings that are matched against all test paths, matched tests are skipped
-  // testPathIgnorePatterns: [
-  //   "/node_modules/"
-  // ],
+  testPathIgnorePatterns: [
+    "/node_modules/",
+    "/__tests__/helpers/",
+  ],
 
   // The regexp pattern or array of patterns that Jest uses to detect test files
   // testRegex: [],
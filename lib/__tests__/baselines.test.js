@@ -0,0 +1,173 @@
+"use strict";
+
+const fs = require("fs");
+const mkdirp = require("mkdirp");
+const path = require("path");
+const { PNG } = require("pngjs");
+const tmp = require("tmp-promise");
+const util = require("util");
+
+const { Profile } = require("../config");
+const { approveScreenshots, checkScreenshots } = require("../baselines");
+const { createRecordingLogger } = require("./helpers/logger");
+
+const mkdirpAsync = util.promisify(mkdirp);
+const readFileAsync = util.promisify(fs.readFile);
+const statAsync = util.promisify(fs.stat);
+const unlinkAsync = util.promisify(fs.unlink);
+const writeFileAsync = util.promisify(fs.writeFile);
+
+/**
+ * Writes a 2x2 opaque PNG image filled with the specified gray level.
+ * @param {string} filePath
+ * @param {number} level
+ * @returns {Promise<void>}
+ */
+async function writeImage(filePath, level) {
+  const image = new PNG({ width: 2, height: 2 });
+  for (let i = 0; i < image.data.length; i += 4) {
+    image.data.fill(level, i, i + 3);
+    image.data[i + 3] = 0xFF;
+  }
+  await mkdirpAsync(path.dirname(filePath));
+  await writeFileAsync(filePath, PNG.sync.write(image));
+}
+
+/**
+ * Checks whether a file exists.
+ * @param {string} filePath
+ * @returns {Promise<boolean>}
+ */
+async function exists(filePath) {
+  try {
+    await statAsync(filePath);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+describe("baselines", () => {
+  describe("approveScreenshots()", () => {
+    it("should copy the screenshots to the baselines directory", async () => {
+      await tmp.withDir(async dir => {
+        const profile = new Profile("foo", dir.path, {});
+        const fileNames = ["pages/main.png", "nyancat.png"];
+        for (const fileName of fileNames) {
+          await writeImage(path.resolve(profile.screenshotsDirPath(), fileName), 0xFF);
+        }
+        const approved = await approveScreenshots(profile);
+        expect(approved.sort()).toEqual(fileNames.sort());
+        for (const fileName of fileNames) {
+          const expected = await readFileAsync(
+            path.resolve(profile.screenshotsDirPath(), fileName)
+          );
+          const actual = await readFileAsync(
+            path.resolve(profile.baselinesDirPath(), fileName)
+          );
+          expect(actual.equals(expected)).toBe(true);
+        }
+      }, { unsafeCleanup: true });
+    });
+
+    it("should remove baselines without a corresponding screenshot", async () => {
+      await tmp.withDir(async dir => {
+        const profile = new Profile("foo", dir.path, {});
+        const oldFilePath = path.resolve(profile.screenshotsDirPath(), "old.png");
+        await writeImage(oldFilePath, 0xFF);
+        await approveScreenshots(profile);
+        // the screenshot is renamed
+        await unlinkAsync(oldFilePath);
+        await writeImage(path.resolve(profile.screenshotsDirPath(), "new.png"), 0xFF);
+        expect((await checkScreenshots(profile)).passed).toBe(false);
+        await approveScreenshots(profile);
+        expect(await exists(path.resolve(profile.baselinesDirPath(), "old.png"))).toBe(false);
+        const res = await checkScreenshots(profile);
+        expect(res.passed).toBe(true);
+        expect(res.matching.map(entry => entry.fileName)).toEqual(["new.png"]);
+      }, { unsafeCleanup: true });
+    });
+
+    it("should fail if there are no screenshots", async () => {
+      await tmp.withDir(async dir => {
+        const profile = new Profile("foo", dir.path, {});
+        await expect(approveScreenshots(profile)).rejects.toThrow(/no screenshots found/);
+      }, { unsafeCleanup: true });
+    });
+  });
+
+  describe("checkScreenshots()", () => {
+    it("should pass if all screenshots match the baselines", async () => {
+      await tmp.withDir(async dir => {
+        const profile = new Profile("foo", dir.path, {});
+        await writeImage(path.resolve(profile.screenshotsDirPath(), "test.png"), 0xFF);
+        await writeImage(path.resolve(profile.baselinesDirPath(), "test.png"), 0xFF);
+        await writeImage(path.resolve(profile.screenshotsDirPath(), "new.png"), 0xFF);
+        const res = await checkScreenshots(profile);
+        expect(res.passed).toBe(true);
+        expect(res.onlyInA).toEqual(["new.png"]);
+      }, { unsafeCleanup: true });
+    });
+
+    it("should fail if a screenshot differs from its baseline over the threshold", async () => {
+      await tmp.withDir(async dir => {
+        const profile = new Profile("foo", dir.path, {
+          threshold: 0.5,
+        });
+        await writeImage(path.resolve(profile.screenshotsDirPath(), "test.png"), 0xFF);
+        await writeImage(path.resolve(profile.baselinesDirPath(), "test.png"), 0x00);
+        const res = await checkScreenshots(profile);
+        expect(res.passed).toBe(false);
+        expect(res.differing.map(entry => entry.diffFilePath)).toEqual([
+          path.resolve(profile.diffsDirPath(), "test.png"),
+        ]);
+      }, { unsafeCleanup: true });
+    });
+
+    it("should fail if a baseline has no corresponding screenshot", async () => {
+      await tmp.withDir(async dir => {
+        const profile = new Profile("foo", dir.path, {});
+        await writeImage(path.resolve(profile.screenshotsDirPath(), "test.png"), 0xFF);
+        await writeImage(path.resolve(profile.baselinesDirPath(), "test.png"), 0xFF);
+        await writeImage(path.resolve(profile.baselinesDirPath(), "removed.png"), 0xFF);
+        const logger = createRecordingLogger();
+        const res = await checkScreenshots(profile, logger);
+        expect(res.passed).toBe(false);
+        expect(res.onlyInB).toEqual(["removed.png"]);
+        expect(logger.messages).toContainEqual([
+          "error",
+          "Missing screenshot for baseline: removed.png",
+        ]);
+      }, { unsafeCleanup: true });
+    });
+
+    it("should remove diff images written by previous checks", async () => {
+      await tmp.withDir(async dir => {
+        const profile = new Profile("foo", dir.path, {});
+        await writeImage(path.resolve(profile.screenshotsDirPath(), "test.png"), 0xFF);
+        await writeImage(path.resolve(profile.baselinesDirPath(), "test.png"), 0xFF);
+        const oldDiffFilePath = path.resolve(profile.diffsDirPath(), "old.png");
+        await writeImage(oldDiffFilePath, 0xFF);
+        const res = await checkScreenshots(profile, createRecordingLogger());
+        expect(res.passed).toBe(true);
+        expect(await exists(oldDiffFilePath)).toBe(false);
+      }, { unsafeCleanup: true });
+    });
+
+    it("should warn that JPEG screenshots are not compared", async () => {
+      await tmp.withDir(async dir => {
+        const profile = new Profile("foo", dir.path, {});
+        await writeImage(path.resolve(profile.screenshotsDirPath(), "test.png"), 0xFF);
+        await writeImage(path.resolve(profile.baselinesDirPath(), "test.png"), 0xFF);
+        await writeFileAsync(path.resolve(profile.screenshotsDirPath(), "photo.jpg"), "");
+        const logger = createRecordingLogger();
+        const res = await checkScreenshots(profile, logger);
+        expect(res.passed).toBe(true);
+        expect(logger.messages).toContainEqual([
+          "warn",
+          "JPEG screenshots are not compared against baselines:\n  photo.jpg",
+        ]);
+      }, { unsafeCleanup: true });
+    });
+  });
+});
@@ -0,0 +1,193 @@
+"use strict";
+
+const puppeteer = require("puppeteer"); // mocked
+
+const { Profile } = require("../config");
+const {
+  resolveLaunchOptions,
+  resolveViewport,
+  createTaskBrowser,
+  closePages,
+} = require("../browser");
+
+describe("browser", () => {
+  describe("resolveLaunchOptions()", () => {
+    it("should return the launch options of the profile", () => {
+      const profile = new Profile("foo", "/path/to/project", {
+        launch: {
+          args  : ["--no-sandbox"],
+          slowMo: 10,
+        },
+      });
+      expect(resolveLaunchOptions(profile, {})).toEqual({
+        args  : ["--no-sandbox"],
+        slowMo: 10,
+      });
+    });
+
+    it("should apply the overrides", () => {
+      const profile = new Profile("foo", "/path/to/project", {
+        launch: {
+          headless: true,
+          args    : ["--no-sandbox"],
+          slowMo  : 10,
+        },
+      });
+      expect(resolveLaunchOptions(profile, {
+        headful       : true,
+        chromeArgs    : ["--lang=ja"],
+        executablePath: "/path/to/chrome",
+        slowMo        : 20,
+      })).toEqual({
+        headless      : false,
+        args          : ["--no-sandbox", "--lang=ja"],
+        executablePath: "/path/to/chrome",
+        slowMo        : 20,
+      });
+      expect(profile.launch.args).toEqual(["--no-sandbox"]);
+    });
+  });
+
+  describe("resolveViewport()", () => {
+    it("should resolve a viewport with explicit sizes", () => {
+      const profile = new Profile("foo", "/path/to/project", {
+        viewports: [{ name: "desktop", width: 1280, height: 720 }],
+      });
+      expect(resolveViewport(profile.viewports[0])).toEqual({
+        name     : "desktop",
+        viewport : { width: 1280, height: 720 },
+        userAgent: undefined,
+      });
+    });
+
+    it("should resolve a viewport with a device name", () => {
+      const profile = new Profile("foo", "/path/to/project", {
+        viewports: [
+          "iPhone X",
+          { name: "iphoneXLandscape", device: "iPhone X", width: 812, height: 375 },
+        ],
+      });
+      expect(resolveViewport(profile.viewports[0])).toEqual({
+        name     : "iPhoneX",
+        viewport : puppeteer.devices["iPhone X"].viewport,
+        userAgent: puppeteer.devices["iPhone X"].userAgent,
+      });
+      expect(resolveViewport(profile.viewports[1])).toEqual({
+        name    : "iphoneXLandscape",
+        viewport: Object.assign({}, puppeteer.devices["iPhone X"].viewport, {
+          width : 812,
+          height: 375,
+        }),
+        userAgent: puppeteer.devices["iPhone X"].userAgent,
+      });
+    });
+
+    it("should throw Error if the device is unknown", () => {
+      const profile = new Profile("foo", "/path/to/project", {
+        viewports: ["Nyancat Phone"],
+      });
+      expect(() => resolveViewport(profile.viewports[0])).toThrow(/unknown device/);
+    });
+  });
+
+  describe("createTaskBrowser()", () => {
+    it("should create a browser that delegates to the original browser", async () => {
+      const browser = await puppeteer.launch();
+      const taskBrowser = createTaskBrowser(browser);
+      expect(taskBrowser.browser.tasks).toBe(browser.tasks);
+      taskBrowser.browser.name = "nyancat";
+      expect(browser.name).toBe("nyancat");
+      const page = await taskBrowser.browser.newPage();
+      expect(browser.allPages).toEqual([page]);
+      expect(await taskBrowser.browser.pages()).toEqual([page]);
+    });
+
+    it("should keep track of the pages opened via the browser", async () => {
+      const browser = await puppeteer.launch();
+      const otherPage = await browser.newPage();
+      const taskBrowser = createTaskBrowser(browser);
+      const page1 = await taskBrowser.browser.newPage();
+      const page2 = await taskBrowser.browser.newPage();
+      expect(taskBrowser.pages).toEqual([page1, page2]);
+      await page1.close();
+      await taskBrowser.closePages();
+      expect(page2.isClosed()).toBe(true);
+      expect(otherPage.isClosed()).toBe(false);
+    });
+
+    it("should make new pages emulate the viewport", async () => {
+      const browser = await puppeteer.launch();
+      const taskBrowser = createTaskBrowser(browser, {
+        viewport: {
+          name     : "desktop",
+          viewport : { width: 1280, height: 720 },
+          userAgent: "nyancat",
+        },
+      });
+      const page = await taskBrowser.browser.newPage();
+      expect(page.viewport()).toEqual({ width: 1280, height: 720 });
+      expect(page.userAgent).toBe("nyancat");
+    });
+
+    it("should open pages with the page options applied", async () => {
+      const browser = await puppeteer.launch();
+      const profile = new Profile("foo", "/path/to/project", {
+        page: {
+          viewport                : { width: 1280, height: 720 },
+          userAgent               : "nyancat",
+          extraHTTPHeaders        : { "Accept-Language": "ja" },
+          cookies                 : [{ name: "foo", value: "bar", url: "https://example.com" }],
+          defaultNavigationTimeout: 1000,
+        },
+      });
+      const taskBrowser = createTaskBrowser(browser, { page: profile.page });
+      const page = await taskBrowser.newPage();
+      expect(page.viewport()).toEqual({ width: 1280, height: 720 });
+      expect(page.userAgent).toBe("nyancat");
+      expect(page.extraHTTPHeaders).toEqual({ "Accept-Language": "ja" });
+      expect(page.cookies).toEqual([{ name: "foo", value: "bar", url: "https://example.com" }]);
+      expect(page.defaultNavigationTimeout).toBe(1000);
+      expect(taskBrowser.pages).toEqual([page]);
+      const unmanagedPage = await taskBrowser.browser.newPage();
+      expect(unmanagedPage.userAgent).toBe(null);
+      await taskBrowser.closeManagedPages();
+      expect(page.isClosed()).toBe(true);
+      expect(unmanagedPage.isClosed()).toBe(false);
+    });
+
+    it("should prefer the viewport to the page options", async () => {
+      const browser = await puppeteer.launch();
+      const profile = new Profile("foo", "/path/to/project", {
+        page: {
+          viewport : { width: 1280, height: 720 },
+          userAgent: "nyancat",
+        },
+      });
+      const taskBrowser = createTaskBrowser(browser, {
+        viewport: resolveViewport({
+          name     : "iPhoneX",
+          device   : "iPhone X",
+          viewport : undefined,
+          userAgent: undefined,
+        }),
+        page: profile.page,
+      });
+      const page = await taskBrowser.newPage();
+      expect(page.viewport()).toEqual(puppeteer.devices["iPhone X"].viewport);
+      expect(page.userAgent).toBe(puppeteer.devices["iPhone X"].userAgent);
+    });
+  });
+
+  describe("closePages()", () => {
+    it("should close pages ignoring errors", async () => {
+      const browser = await puppeteer.launch();
+      const page1 = await browser.newPage();
+      const page2 = await browser.newPage();
+      page1.close = async () => {
+        throw new Error("nyancat");
+      };
+      await closePages([page1, page2]);
+      expect(page2.isClosed()).toBe(true);
+    });
+  });
+});
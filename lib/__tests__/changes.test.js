@@ -0,0 +1,151 @@
+"use strict";
+
+const fs = require("fs");
+const mkdirp = require("mkdirp");
+const path = require("path");
+const tmp = require("tmp-promise");
+const util = require("util");
+
+const { Profile } = require("../config");
+const {
+  changeStatuses,
+  writeIfChanged,
+  findStaleScreenshots,
+  detectChanges,
+  logChanges,
+  pruneScreenshots,
+} = require("../changes");
+const { writeManifest } = require("../manifest");
+const { createRecordingLogger } = require("./helpers/logger");
+
+const mkdirpAsync = util.promisify(mkdirp);
+const readdirAsync = util.promisify(fs.readdir);
+const readFileAsync = util.promisify(fs.readFile);
+const writeFileAsync = util.promisify(fs.writeFile);
+
+describe("changes", () => {
+  describe("writeIfChanged()", () => {
+    it("should write a file only if its content has changed", async () => {
+      await tmp.withDir(async dir => {
+        const filePath = path.resolve(dir.path, "test.png");
+        expect(await writeIfChanged(filePath, Buffer.from("foo"))).toBe(changeStatuses.new);
+        expect(await writeIfChanged(filePath, Buffer.from("foo"))).toBe(changeStatuses.unchanged);
+        expect(await writeIfChanged(filePath, Buffer.from("bar"))).toBe(changeStatuses.changed);
+        expect(await readFileAsync(filePath, "utf8")).toBe("bar");
+      }, { unsafeCleanup: true });
+    });
+  });
+
+  describe("findStaleScreenshots()", () => {
+    it("should find screenshots of the previous run not written in this run", async () => {
+      await tmp.withDir(async dir => {
+        const profile = new Profile("foo", dir.path, {});
+        const screenshotsDirPath = profile.screenshotsDirPath();
+        await mkdirpAsync(path.resolve(screenshotsDirPath, "sub"));
+        for (const fileName of ["a.png", "b.jpg", "sub/c.png", "other.png"]) {
+          await writeFileAsync(path.resolve(screenshotsDirPath, fileName), "");
+        }
+        await writeManifest(profile, [{
+          captures: ["a.png", "b.jpg", "sub/c.png", "deleted.png", "../outside.png"]
+            .map(file => ({ file })),
+        }]);
+        const results = [{ screenshots: [path.resolve(screenshotsDirPath, "a.png")] }];
+        expect(await findStaleScreenshots(profile, results)).toEqual([
+          "b.jpg",
+          path.normalize("sub/c.png"),
+        ]);
+      }, { unsafeCleanup: true });
+    });
+
+    it("should find no screenshots if there is no manifest of the profile", async () => {
+      await tmp.withDir(async dir => {
+        const profile = new Profile("foo", dir.path, {});
+        const screenshotsDirPath = profile.screenshotsDirPath();
+        await mkdirpAsync(screenshotsDirPath);
+        await writeFileAsync(path.resolve(screenshotsDirPath, "a.png"), "");
+        expect(await findStaleScreenshots(profile, [])).toEqual([]);
+        // a manifest written by another profile sharing the directory
+        const otherProfile = new Profile("bar", dir.path, { screenshotsDir: "screenshots/foo" });
+        await writeManifest(otherProfile, [{ captures: [{ file: "a.png" }] }]);
+        expect(await findStaleScreenshots(profile, [])).toEqual([]);
+      }, { unsafeCleanup: true });
+    });
+  });
+
+  describe("detectChanges()", () => {
+    it("should classify the screenshots of a run", async () => {
+      await tmp.withDir(async dir => {
+        const profile = new Profile("foo", dir.path, {});
+        const screenshotsDirPath = profile.screenshotsDirPath();
+        await mkdirpAsync(screenshotsDirPath);
+        for (const fileName of ["a.png", "b.png", "c.png", "d.png"]) {
+          await writeFileAsync(path.resolve(screenshotsDirPath, fileName), "");
+        }
+        await writeManifest(profile, [{
+          captures: ["a.png", "b.png", "c.png", "d.png"].map(file => ({ file })),
+        }]);
+        const toPath = fileName => path.resolve(screenshotsDirPath, fileName);
+        const results = [
+          {
+            screenshots: ["a.png", "b.png"].map(toPath),
+            captures   : [
+              { file: "a.png", change: changeStatuses.new },
+              { file: "b.png", change: changeStatuses.changed },
+            ],
+          },
+          {
+            screenshots: [toPath("c.png")],
+            captures   : [{ file: "c.png", change: changeStatuses.unchanged }],
+          },
+        ];
+        expect(await detectChanges(profile, results)).toEqual({
+          new      : ["a.png"],
+          changed  : ["b.png"],
+          unchanged: ["c.png"],
+          stale    : null,
+        });
+        expect(await detectChanges(profile, results, { stale: true })).toEqual({
+          new      : ["a.png"],
+          changed  : ["b.png"],
+          unchanged: ["c.png"],
+          stale    : ["d.png"],
+        });
+      }, { unsafeCleanup: true });
+    });
+  });
+
+  describe("logChanges()", () => {
+    it("should log a summary of changes", () => {
+      const logger = createRecordingLogger();
+      logChanges({
+        new      : ["a.png"],
+        changed  : [],
+        unchanged: ["c.png"],
+        stale    : ["d.png"],
+      }, logger);
+      expect(logger.messages).toEqual([
+        ["info", "Screenshots: 1 new, 0 changed, 1 unchanged, 1 stale"],
+        ["info", "New screenshots:\n  a.png"],
+        ["trace", "Unchanged screenshots:\n  c.png"],
+        ["warn", "Stale screenshots (not written in this run):\n  d.png"],
+      ]);
+    });
+  });
+
+  describe("pruneScreenshots()", () => {
+    it("should delete the given screenshots", async () => {
+      await tmp.withDir(async dir => {
+        const profile = new Profile("foo", dir.path, {});
+        const screenshotsDirPath = profile.screenshotsDirPath();
+        await mkdirpAsync(screenshotsDirPath);
+        for (const fileName of ["a.png", "b.png"]) {
+          await writeFileAsync(path.resolve(screenshotsDirPath, fileName), "");
+        }
+        const logger = createRecordingLogger();
+        await pruneScreenshots(profile, ["b.png"], logger);
+        expect(await readdirAsync(screenshotsDirPath)).toEqual(["a.png"]);
+        expect(logger.messages).toContainEqual(["info", "Pruned 1 stale screenshot(s)."]);
+      }, { unsafeCleanup: true });
+    });
+  });
+});
@@ -5,10 +5,20 @@ const json5 = require("json5");
 const mkdirp = require("mkdirp");
 const tmp = require("tmp-promise");
 const path = require("path");
+const { PNG } = require("pngjs");
+const puppeteer = require("puppeteer"); // mocked
 const util = require("util");
 
 const { configFileName } = require("../config");
-const { init, run } = require("../cli");
+const {
+  init,
+  run,
+  list,
+  watch,
+  approve,
+  compare,
+  validate,
+} = require("../cli");
 
 const mkdirAsync = util.promisify(fs.mkdir);
 const mkdirpAsync = util.promisify(mkdirp);
@@ -16,6 +26,10 @@ const readFileAsync = util.promisify(fs.readFile);
 const writeFileAsync = util.promisify(fs.writeFile);
 
 describe("cli", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
   describe("init()", () => {
     it("should initialize a configuration file at the current working directory", async () => {
       await tmp.withDir(async dir => {
@@ -91,7 +105,9 @@ describe("cli", () => {
           await writeFileAsync(hookFilePath, hookContent, "utf8");
         }
         // check
-        const browser = await run(dir.path, "test", [], {});
+        const launch = jest.spyOn(puppeteer, "launch");
+        const summary = await run(dir.path, "test", [], {});
+        const browser = await launch.mock.results[0].value;
         const screenshotsDirPath = path.resolve(dir.path, "screenshots", "test");
         const screenshotFilePaths = taskFileNames.map(fileName =>
           path.resolve(screenshotsDirPath, fileName.replace(/\.js$/, ".png"))
@@ -100,8 +116,450 @@ describe("cli", () => {
           taskFilePaths.map(filePath => path.basename(filePath)).sort()
         );
         expect(browser.hooks).toEqual(hookFileNames); // correctly ordered
-        expect(browser.screenshots.sort()).toEqual(screenshotFilePaths.sort());
+        expect(
+          summary.results.reduce((filePaths, result) => filePaths.concat(result.screenshots), [])
+            .sort()
+        ).toEqual(screenshotFilePaths.sort());
         expect(browser.name).toBe("nyancat");
+        expect(summary.results.map(result => result.taskFileName).sort()).toEqual(
+          taskFileNames.slice().sort()
+        );
+        expect(summary.passed).toBe(3);
+        expect(summary.ok).toBe(true);
+      }, { unsafeCleanup: true });
+    });
+
+    it("should launch the browser with the launch options", async () => {
+      await tmp.withDir(async dir => {
+        // prepare configuration
+        const content = json5.stringify({
+          profiles: {
+            test: {
+              launch: {
+                args: ["--no-sandbox"],
+              },
+            },
+          },
+        });
+        await writeFileAsync(path.resolve(dir.path, configFileName), content, "utf8");
+        // prepare task file
+        const tasksDirPath = path.resolve(dir.path, "tasks", "test");
+        await mkdirpAsync(tasksDirPath);
+        await writeFileAsync(path.resolve(tasksDirPath, "nyancat.js"), "", "utf8");
+        // check
+        const launch = jest.spyOn(puppeteer, "launch");
+        await run(dir.path, "test", [], {
+          headful   : true,
+          chromeArgs: ["--lang=ja"],
+        });
+        expect(launch).toHaveBeenCalledWith({
+          headless: false,
+          args    : ["--no-sandbox", "--lang=ja"],
+        });
+      }, { unsafeCleanup: true });
+    });
+
+    it("should report failed and skipped tasks in the summary", async () => {
+      await tmp.withDir(async dir => {
+        // prepare configuration
+        const content = json5.stringify({
+          profiles: {
+            test: {},
+          },
+        });
+        await writeFileAsync(path.resolve(dir.path, configFileName), content, "utf8");
+        // prepare task files
+        const tasksDirPath = path.resolve(dir.path, "tasks", "test");
+        await mkdirpAsync(tasksDirPath);
+        const taskContent = `
+          "use strict";
+
+          module.exports = async () => {
+            throw new Error("nyancat");
+          };
+        `;
+        await writeFileAsync(path.resolve(tasksDirPath, "a.js"), taskContent, "utf8");
+        await writeFileAsync(path.resolve(tasksDirPath, "b.js"), taskContent, "utf8");
+        // check
+        const summary = await run(dir.path, "test", [], {});
+        expect(summary.failed).toBe(2);
+        expect(summary.ok).toBe(false);
+        const bailedSummary = await run(dir.path, "test", [], { bail: true });
+        expect(bailedSummary.failed).toBe(1);
+        expect(bailedSummary.skipped).toBe(1);
+        expect(bailedSummary.ok).toBe(false);
+      }, { unsafeCleanup: true });
+    });
+
+    it("should run afterAll hook and close the browser even if beforeAll has failed", async () => {
+      await tmp.withDir(async dir => {
+        // prepare configuration
+        const content = json5.stringify({
+          profiles: {
+            test: {
+              hooks: {
+                beforeAll: "beforeAll.js",
+                afterAll : "afterAll.js",
+              },
+            },
+          },
+        });
+        await writeFileAsync(path.resolve(dir.path, configFileName), content, "utf8");
+        // prepare task files
+        const tasksDirPath = path.resolve(dir.path, "tasks", "test");
+        await mkdirpAsync(tasksDirPath);
+        const taskContent = `
+          "use strict";
+
+          module.exports = async ({ browser }) => {
+            browser.tasks.push("task");
+          };
+        `;
+        await writeFileAsync(path.resolve(tasksDirPath, "a.js"), taskContent, "utf8");
+        // prepare hook scripts
+        const hookContent = `
+          "use strict";
+
+          const path = require("path");
+
+          module.exports = async ({ browser }) => {
+            browser.hooks.push(path.basename(__filename));
+            throw new Error(path.basename(__filename));
+          };
+        `;
+        for (const fileName of ["beforeAll.js", "afterAll.js"]) {
+          await writeFileAsync(path.resolve(dir.path, fileName), hookContent, "utf8");
+        }
+        // check
+        const launch = jest.spyOn(puppeteer, "launch");
+        await expect(run(dir.path, "test", [], {})).rejects.toThrow("beforeAll.js");
+        const browser = await launch.mock.results[0].value;
+        expect(browser.tasks).toEqual([]);
+        expect(browser.hooks).toEqual(["beforeAll.js", "afterAll.js"]);
+        expect(browser.closed).toBe(true);
+      }, { unsafeCleanup: true });
+    });
+
+    it("should override the profile data by 'data'", async () => {
+      await tmp.withDir(async dir => {
+        // prepare configuration
+        const content = json5.stringify({
+          profiles: {
+            test: {
+              data: {
+                url : "https://example.com",
+                user: { name: "foo", age: 42 },
+              },
+            },
+          },
+        });
+        await writeFileAsync(path.resolve(dir.path, configFileName), content, "utf8");
+        // prepare task files
+        const tasksDirPath = path.resolve(dir.path, "tasks", "test");
+        await mkdirpAsync(tasksDirPath);
+        const taskContent = `
+          "use strict";
+
+          module.exports = async ({ browser, profile }) => {
+            browser.data = profile.data;
+          };
+        `;
+        await writeFileAsync(path.resolve(tasksDirPath, "a.js"), taskContent, "utf8");
+        // check
+        const launch = jest.spyOn(puppeteer, "launch");
+        await run(dir.path, "test", [], { data: ["user.name=nyancat", "staging=true"] });
+        const browser = await launch.mock.results[0].value;
+        expect(browser.data).toEqual({
+          url    : "https://example.com",
+          user   : { name: "nyancat", age: 42 },
+          staging: true,
+        });
+      }, { unsafeCleanup: true });
+    });
+
+    it("should write a report if 'report' is enabled", async () => {
+      await tmp.withDir(async dir => {
+        // prepare configuration
+        const content = json5.stringify({
+          profiles: {
+            test: {},
+          },
+        });
+        await writeFileAsync(path.resolve(dir.path, configFileName), content, "utf8");
+        // prepare task file
+        const tasksDirPath = path.resolve(dir.path, "tasks", "test");
+        await mkdirpAsync(tasksDirPath);
+        const taskContent = `
+          "use strict";
+
+          module.exports = async ({ browser, screenshot }) => {
+            const page = await browser.newPage();
+            await screenshot(page);
+          };
+        `;
+        await writeFileAsync(path.resolve(tasksDirPath, "nyancat.js"), taskContent, "utf8");
+        // check
+        await run(dir.path, "test", [], { report: true });
+        const reportFilePath = path.resolve(dir.path, "screenshots", "test", "report.html");
+        const report = await readFileAsync(reportFilePath, "utf8");
+        expect(report).toContain("<h2>nyancat.js</h2>");
+        expect(report).toContain("<img src=\"data:image/png;base64,");
+        expect(report).toContain("<figcaption>nyancat.png</figcaption>");
+      }, { unsafeCleanup: true });
+    });
+
+    it("should compare screenshots against baselines if 'check' is enabled", async () => {
+      await tmp.withDir(async dir => {
+        // prepare configuration
+        const content = json5.stringify({
+          profiles: {
+            test: {},
+          },
+        });
+        await writeFileAsync(path.resolve(dir.path, configFileName), content, "utf8");
+        // prepare task file
+        const tasksDirPath = path.resolve(dir.path, "tasks", "test");
+        await mkdirpAsync(tasksDirPath);
+        const taskContent = `
+          "use strict";
+
+          module.exports = async ({ browser, screenshot }) => {
+            const page = await browser.newPage();
+            await screenshot(page);
+          };
+        `;
+        await writeFileAsync(path.resolve(tasksDirPath, "nyancat.js"), taskContent, "utf8");
+        // check
+        await run(dir.path, "test", [], {});
+        await approve(dir.path, "test");
+        const summary = await run(dir.path, "test", [], { check: true });
+        expect(summary.check.passed).toBe(true);
+        expect(summary.ok).toBe(true);
+        // modify the baseline
+        const baselineFilePath = path.resolve(dir.path, "baselines", "test", "nyancat.png");
+        const baseline = PNG.sync.read(await readFileAsync(baselineFilePath));
+        baseline.data.fill(0x00, 0, 3);
+        await writeFileAsync(baselineFilePath, PNG.sync.write(baseline));
+        const failedSummary = await run(dir.path, "test", [], { check: true });
+        expect(failedSummary.check.passed).toBe(false);
+        expect(failedSummary.check.differing.map(entry => entry.fileName)).toEqual(["nyancat.png"]);
+        expect(failedSummary.ok).toBe(false);
+      }, { unsafeCleanup: true });
+    });
+  });
+
+  describe("list()", () => {
+    it("should list tasks that would be run without launching the browser", async () => {
+      await tmp.withDir(async dir => {
+        const content = json5.stringify({
+          profiles: {
+            test: {
+              hooks    : { beforeAll: "beforeAll.js" },
+              viewports: [
+                { name: "desktop", width: 1280, height: 720 },
+                "iPhone X",
+              ],
+              data: { user: { name: "nyancat" } },
+            },
+          },
+        });
+        await writeFileAsync(path.resolve(dir.path, configFileName), content, "utf8");
+        const tasksDirPath = path.resolve(dir.path, "tasks", "test");
+        await mkdirpAsync(tasksDirPath);
+        await writeFileAsync(path.resolve(tasksDirPath, "a.js"), "", "utf8");
+        await writeFileAsync(path.resolve(tasksDirPath, "b.js"), "", "utf8");
+        const launch = jest.spyOn(puppeteer, "launch");
+        const plan = await list(dir.path, "test", [], {
+          json: true,
+          data: ["user.password=xxx"],
+        });
+        expect(launch).not.toHaveBeenCalled();
+        expect(plan).toEqual({
+          profile       : "test",
+          tasksDir      : tasksDirPath,
+          screenshotsDir: path.resolve(dir.path, "screenshots", "test"),
+          hooks         : { beforeAll: path.resolve(dir.path, "beforeAll.js") },
+          tasks         : [
+            ["a.js", "desktop"],
+            ["a.js", "iPhoneX"],
+            ["b.js", "desktop"],
+            ["b.js", "iPhoneX"],
+          ].map(([taskFileName, viewport]) => ({
+            taskFilePath: path.resolve(tasksDirPath, taskFileName),
+            taskFileName: taskFileName,
+            viewport    : viewport,
+          })),
+          data: { user: { name: "nyancat", password: "xxx" } },
+        });
+      }, { unsafeCleanup: true });
+    });
+
+    it("should fail if no tasks found", async () => {
+      await tmp.withDir(async dir => {
+        const content = json5.stringify({
+          profiles: {
+            test: {},
+          },
+        });
+        await writeFileAsync(path.resolve(dir.path, configFileName), content, "utf8");
+        await expect(list(dir.path, "test", [], {})).rejects.toThrowError(/no tasks found/);
+      }, { unsafeCleanup: true });
+    });
+  });
+
+  describe("watch()", () => {
+    it("should re-run changed tasks", async () => {
+      await tmp.withDir(async dir => {
+        // prepare configuration
+        const content = json5.stringify({
+          profiles: {
+            test: {},
+          },
+        });
+        await writeFileAsync(path.resolve(dir.path, configFileName), content, "utf8");
+        // prepare task files
+        const tasksDirPath = path.resolve(dir.path, "tasks", "test");
+        await mkdirpAsync(tasksDirPath);
+        const taskContent = `
+          "use strict";
+
+          const path = require("path");
+
+          module.exports = async ({ browser }) => {
+            browser.tasks.push(path.basename(__filename));
+          };
+        `;
+        await writeFileAsync(path.resolve(tasksDirPath, "a.js"), taskContent, "utf8");
+        await writeFileAsync(path.resolve(tasksDirPath, "b.js"), taskContent, "utf8");
+        // check
+        const launch = jest.spyOn(puppeteer, "launch");
+        const watcher = await watch(dir.path, "test", [], {});
+        const browser = await launch.mock.results[0].value;
+        try {
+          expect(browser.tasks.sort()).toEqual(["a.js", "b.js"]);
+          await writeFileAsync(path.resolve(tasksDirPath, "b.js"), taskContent, "utf8");
+          const startTime = Date.now();
+          while (browser.tasks.length < 3 && Date.now() - startTime < 5000) {
+            await new Promise(resolve => setTimeout(resolve, 50));
+          }
+          expect(browser.tasks.slice(2)).toEqual(["b.js"]);
+        } finally {
+          await watcher.close();
+        }
+        expect(browser.closed).toBe(true);
+      }, { unsafeCleanup: true });
+    });
+
+    it("should keep watching even if no task is found at first", async () => {
+      await tmp.withDir(async dir => {
+        // prepare configuration
+        const content = json5.stringify({
+          profiles: {
+            test: {},
+          },
+        });
+        await writeFileAsync(path.resolve(dir.path, configFileName), content, "utf8");
+        const tasksDirPath = path.resolve(dir.path, "tasks", "test");
+        await mkdirpAsync(tasksDirPath);
+        // check
+        const launch = jest.spyOn(puppeteer, "launch");
+        const watcher = await watch(dir.path, "test", ["new.js"], {});
+        const browser = await launch.mock.results[0].value;
+        try {
+          expect(browser.tasks).toEqual([]);
+          const taskContent = `
+            "use strict";
+
+            module.exports = async ({ browser }) => {
+              browser.tasks.push("new.js");
+            };
+          `;
+          await writeFileAsync(path.resolve(tasksDirPath, "new.js"), taskContent, "utf8");
+          const startTime = Date.now();
+          while (browser.tasks.length < 1 && Date.now() - startTime < 5000) {
+            await new Promise(resolve => setTimeout(resolve, 50));
+          }
+          expect(browser.tasks).toEqual(["new.js"]);
+        } finally {
+          await watcher.close();
+        }
+      }, { unsafeCleanup: true });
+    });
+  });
+
+  describe("approve()", () => {
+    it("should copy screenshots of the profile to the baselines directory", async () => {
+      await tmp.withDir(async dir => {
+        const content = json5.stringify({
+          profiles: {
+            test: {},
+          },
+        });
+        await writeFileAsync(path.resolve(dir.path, configFileName), content, "utf8");
+        const screenshotFilePath = path.resolve(dir.path, "screenshots", "test", "nyancat.png");
+        await mkdirpAsync(path.dirname(screenshotFilePath));
+        await writeFileAsync(screenshotFilePath, "nyancat", "utf8");
+        await approve(dir.path, "test");
+        const baselineFilePath = path.resolve(dir.path, "baselines", "test", "nyancat.png");
+        expect(await readFileAsync(baselineFilePath, "utf8")).toBe("nyancat");
+      }, { unsafeCleanup: true });
+    });
+  });
+
+  describe("compare()", () => {
+    it("should compare screenshots of two profiles", async () => {
+      await tmp.withDir(async dir => {
+        const content = json5.stringify({
+          profiles: {
+            foo    : {},
+            foo_bar: {},
+          },
+        });
+        await writeFileAsync(path.resolve(dir.path, configFileName), content, "utf8");
+        const image = new PNG({ width: 2, height: 2 });
+        image.data.fill(0xFF);
+        for (const profileName of ["foo", "foo_bar"]) {
+          const screenshotFilePath = path.resolve(dir.path, "screenshots", profileName, "test.png");
+          await mkdirpAsync(path.dirname(screenshotFilePath));
+          await writeFileAsync(screenshotFilePath, PNG.sync.write(image));
+        }
+        const res = await compare(dir.path, "foo", "foo_bar", {});
+        expect(res.passed).toBe(true);
+        expect(res.matching.map(entry => entry.fileName)).toEqual(["test.png"]);
+      }, { unsafeCleanup: true });
+    });
+  });
+
+  describe("validate()", () => {
+    it("should validate the configuration file", async () => {
+      await tmp.withDir(async dir => {
+        const content = json5.stringify({
+          profiles: {
+            test: { nyancat: true },
+          },
+        });
+        await writeFileAsync(path.resolve(dir.path, configFileName), content, "utf8");
+        await mkdirpAsync(path.resolve(dir.path, "tasks", "test"));
+        const res = await validate(dir.path, {});
+        expect(res.ok).toBe(true);
+        expect(res.problems).toEqual([
+          expect.objectContaining({ severity: "warning", path: "profiles.test.nyancat" }),
+        ]);
+        const strictRes = await validate(dir.path, { strict: true });
+        expect(strictRes.ok).toBe(false);
+      }, { unsafeCleanup: true });
+    });
+
+    it("should fail if the configuration has errors", async () => {
+      await tmp.withDir(async dir => {
+        const content = json5.stringify({
+          profiles: {
+            test: { retries: "nyancat" },
+          },
+        });
+        await writeFileAsync(path.resolve(dir.path, configFileName), content, "utf8");
+        const res = await validate(dir.path, {});
+        expect(res.ok).toBe(false);
       }, { unsafeCleanup: true });
     });
   });
@@ -0,0 +1,203 @@
+"use strict";
+
+const fs = require("fs");
+const mkdirp = require("mkdirp");
+const path = require("path");
+const { PNG } = require("pngjs");
+const tmp = require("tmp-promise");
+const util = require("util");
+
+const { Profile } = require("../config");
+const { compareImages, compareDirs, compareProfiles } = require("../compare");
+
+const mkdirpAsync = util.promisify(mkdirp);
+const readFileAsync = util.promisify(fs.readFile);
+const statAsync = util.promisify(fs.stat);
+const writeFileAsync = util.promisify(fs.writeFile);
+
+/**
+ * Writes a PNG image filled with white, except for the specified number of black pixels.
+ * @param {string} filePath
+ * @param {number} width
+ * @param {number} height
+ * @param {number} blackPixels
+ * @returns {Promise<void>}
+ */
+async function writeImage(filePath, width, height, blackPixels) {
+  const image = new PNG({ width, height });
+  image.data.fill(0xFF);
+  for (let i = 0; i < blackPixels; i++) {
+    image.data.fill(0x00, i * 4, i * 4 + 3);
+  }
+  await mkdirpAsync(path.dirname(filePath));
+  await writeFileAsync(filePath, PNG.sync.write(image));
+}
+
+/**
+ * Checks whether a file exists.
+ * @param {string} filePath
+ * @returns {Promise<boolean>}
+ */
+async function exists(filePath) {
+  try {
+    await statAsync(filePath);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+describe("compare", () => {
+  describe("compareImages()", () => {
+    it("should report no difference for identical images", async () => {
+      await tmp.withDir(async dir => {
+        const filePathA = path.resolve(dir.path, "a.png");
+        const filePathB = path.resolve(dir.path, "b.png");
+        const diffFilePath = path.resolve(dir.path, "diff.png");
+        await writeImage(filePathA, 4, 4, 0);
+        await writeImage(filePathB, 4, 4, 0);
+        const res = await compareImages(filePathA, filePathB, diffFilePath);
+        expect(res).toEqual({
+          diffPixels  : 0,
+          diffRatio   : 0,
+          sizeMismatch: false,
+        });
+        expect(await exists(diffFilePath)).toBe(false);
+      }, { unsafeCleanup: true });
+    });
+
+    it("should count differing pixels and write a diff image", async () => {
+      await tmp.withDir(async dir => {
+        const filePathA = path.resolve(dir.path, "a.png");
+        const filePathB = path.resolve(dir.path, "b.png");
+        const diffFilePath = path.resolve(dir.path, "diffs/diff.png");
+        await writeImage(filePathA, 4, 4, 0);
+        await writeImage(filePathB, 4, 4, 4);
+        const res = await compareImages(filePathA, filePathB, diffFilePath);
+        expect(res).toEqual({
+          diffPixels  : 4,
+          diffRatio   : 0.25,
+          sizeMismatch: false,
+        });
+        const diff = PNG.sync.read(await readFileAsync(diffFilePath));
+        expect(diff.width).toBe(4);
+        expect(diff.height).toBe(4);
+      }, { unsafeCleanup: true });
+    });
+
+    it("should treat images of different sizes as entirely different", async () => {
+      await tmp.withDir(async dir => {
+        const filePathA = path.resolve(dir.path, "a.png");
+        const filePathB = path.resolve(dir.path, "b.png");
+        const diffFilePath = path.resolve(dir.path, "diff.png");
+        await writeImage(filePathA, 4, 4, 0);
+        await writeImage(filePathB, 4, 2, 0);
+        const res = await compareImages(filePathA, filePathB, diffFilePath);
+        expect(res).toEqual({
+          diffPixels  : 16,
+          diffRatio   : 1,
+          sizeMismatch: true,
+        });
+        expect(await exists(diffFilePath)).toBe(false);
+      }, { unsafeCleanup: true });
+    });
+  });
+
+  describe("compareDirs()", () => {
+    it("should pair images by relative paths and classify them", async () => {
+      await tmp.withDir(async dir => {
+        const dirPathA = path.resolve(dir.path, "a");
+        const dirPathB = path.resolve(dir.path, "b");
+        const diffDirPath = path.resolve(dir.path, "diffs");
+        await writeImage(path.resolve(dirPathA, "same.png"), 4, 4, 0);
+        await writeImage(path.resolve(dirPathB, "same.png"), 4, 4, 0);
+        await writeImage(path.resolve(dirPathA, "pages/slightly.png"), 4, 4, 0);
+        await writeImage(path.resolve(dirPathB, "pages/slightly.png"), 4, 4, 1);
+        await writeImage(path.resolve(dirPathA, "pages/very.png"), 4, 4, 0);
+        await writeImage(path.resolve(dirPathB, "pages/very.png"), 4, 4, 8);
+        await writeImage(path.resolve(dirPathA, "new.png"), 4, 4, 0);
+        await writeImage(path.resolve(dirPathB, "old.png"), 4, 4, 0);
+        const res = await compareDirs(dirPathA, dirPathB, diffDirPath, { threshold: 0.1 });
+        expect(res.matching.map(entry => entry.fileName)).toEqual([
+          "pages/slightly.png",
+          "same.png",
+        ]);
+        expect(res.differing).toEqual([
+          {
+            fileName    : "pages/very.png",
+            diffPixels  : 8,
+            diffRatio   : 0.5,
+            sizeMismatch: false,
+            diffFilePath: path.resolve(diffDirPath, "pages/very.png"),
+          },
+        ]);
+        expect(res.onlyInA).toEqual(["new.png"]);
+        expect(res.onlyInB).toEqual(["old.png"]);
+        expect(await exists(path.resolve(diffDirPath, "pages/very.png"))).toBe(true);
+        // no diff image is written for images matching under the threshold
+        expect(await exists(path.resolve(diffDirPath, "pages/slightly.png"))).toBe(false);
+      }, { unsafeCleanup: true });
+    });
+
+    it("should treat any difference as a failure if no threshold is given", async () => {
+      await tmp.withDir(async dir => {
+        const dirPathA = path.resolve(dir.path, "a");
+        const dirPathB = path.resolve(dir.path, "b");
+        const diffDirPath = path.resolve(dir.path, "diffs");
+        await writeImage(path.resolve(dirPathA, "test.png"), 4, 4, 0);
+        await writeImage(path.resolve(dirPathB, "test.png"), 4, 4, 1);
+        const res = await compareDirs(dirPathA, dirPathB, diffDirPath, {});
+        expect(res.matching).toEqual([]);
+        expect(res.differing.map(entry => entry.fileName)).toEqual(["test.png"]);
+      }, { unsafeCleanup: true });
+    });
+  });
+
+  describe("compareProfiles()", () => {
+    it("should compare screenshots of two profiles", async () => {
+      await tmp.withDir(async dir => {
+        const profileA = new Profile("foo_staging", dir.path, {});
+        const profileB = new Profile("foo_production", dir.path, {});
+        await writeImage(path.resolve(profileA.screenshotsDirPath(), "same.png"), 4, 4, 0);
+        await writeImage(path.resolve(profileB.screenshotsDirPath(), "same.png"), 4, 4, 0);
+        await writeImage(path.resolve(profileA.screenshotsDirPath(), "different.png"), 4, 4, 0);
+        await writeImage(path.resolve(profileB.screenshotsDirPath(), "different.png"), 4, 4, 1);
+        await writeImage(path.resolve(profileA.screenshotsDirPath(), "staging.png"), 4, 4, 0);
+        const res = await compareProfiles(profileA, profileB, {});
+        const diffDirPath = path.resolve(dir.path, "diffs/foo_staging-foo_production");
+        expect(res.passed).toBe(false);
+        expect(res.diffDirPath).toBe(diffDirPath);
+        expect(res.matching.map(entry => entry.fileName)).toEqual(["same.png"]);
+        expect(res.differing.map(entry => entry.fileName)).toEqual(["different.png"]);
+        expect(res.onlyInA).toEqual(["staging.png"]);
+        expect(res.onlyInB).toEqual([]);
+        expect(await exists(path.resolve(diffDirPath, "different.png"))).toBe(true);
+      }, { unsafeCleanup: true });
+    });
+
+    it("should remove diff images written by previous comparisons", async () => {
+      await tmp.withDir(async dir => {
+        const profileA = new Profile("foo_staging", dir.path, {});
+        const profileB = new Profile("foo_production", dir.path, {});
+        await writeImage(path.resolve(profileA.screenshotsDirPath(), "test.png"), 4, 4, 0);
+        await writeImage(path.resolve(profileB.screenshotsDirPath(), "test.png"), 4, 4, 0);
+        const diffDirPath = path.resolve(dir.path, "diffs/foo_staging-foo_production");
+        const oldDiffFilePath = path.resolve(diffDirPath, "old.png");
+        await writeImage(oldDiffFilePath, 4, 4, 0);
+        await compareProfiles(profileA, profileB, {});
+        expect(await exists(oldDiffFilePath)).toBe(false);
+      }, { unsafeCleanup: true });
+    });
+
+    it("should pass if all screenshots match", async () => {
+      await tmp.withDir(async dir => {
+        const profileA = new Profile("foo_staging", dir.path, {});
+        const profileB = new Profile("foo_production", dir.path, {});
+        await writeImage(path.resolve(profileA.screenshotsDirPath(), "test.png"), 4, 4, 0);
+        await writeImage(path.resolve(profileB.screenshotsDirPath(), "test.png"), 4, 4, 1);
+        const res = await compareProfiles(profileA, profileB, { threshold: 0.1 });
+        expect(res.passed).toBe(true);
+      }, { unsafeCleanup: true });
+    });
+  });
+});
@@ -6,10 +6,20 @@ const path = require("path");
 const tmp = require("tmp-promise");
 const util = require("util");
 
-const { Config, Profile, configFileName, initConfig, loadConfig } = require("../config");
+const {
+  Config,
+  Profile,
+  configFileName,
+  jsConfigFileName,
+  initConfig,
+  loadConfig,
+  validateConfig,
+  parseDataOverrides,
+} = require("../config");
 
 const chmodAsync = util.promisify(fs.chmod);
 const mkdirAsync = util.promisify(fs.mkdir);
+const readdirAsync = util.promisify(fs.readdir);
 const readFileAsync = util.promisify(fs.readFile);
 const writeFileAsync = util.promisify(fs.writeFile);
 
@@ -46,6 +56,169 @@ describe("config", () => {
       });
     });
 
+    describe("inheritance", () => {
+      it("should merge the parent profile into the subprofile", () => {
+        const config = new Config("/path/to/project/archerfish.json5", {
+          profiles: {
+            foo: {
+              hooks: {
+                beforeAll: "beforeAll.js",
+                afterAll : "afterAll.js",
+              },
+              retries: 2,
+              data   : {
+                url  : "https://example.com",
+                user : { name: "nyancat", password: "xxx" },
+                pages: ["a", "b"],
+              },
+            },
+            foo_bar: {
+              hooks: {
+                afterAll: "afterAllBar.js",
+              },
+              data: {
+                user : { password: "yyy" },
+                pages: ["c"],
+              },
+            },
+          },
+        });
+        const profile = config.getProfile("foo_bar");
+        expect(profile.hooks).toEqual({
+          beforeAll: "beforeAll.js",
+          afterAll : "afterAllBar.js",
+        });
+        expect(profile.retries).toBe(2);
+        expect(profile.data).toEqual({
+          url  : "https://example.com",
+          user : { name: "nyancat", password: "yyy" },
+          pages: ["c"],
+        });
+        // the parent profile is not affected
+        expect(config.getProfile("foo").data.user).toEqual({ name: "nyancat", password: "xxx" });
+      });
+
+      it("should be ok if the parent profile does not exist", () => {
+        const config = new Config("/path/to/project/archerfish.json5", {
+          profiles: {
+            foo_bar: {
+              data: { answer: 42 },
+            },
+          },
+        });
+        expect(config.getProfile("foo_bar").data).toEqual({ answer: 42 });
+      });
+
+      it("should inherit along the whole chain of ancestors", () => {
+        const config = new Config("/path/to/project/archerfish.json5", {
+          profiles: {
+            site: {
+              data: { url: "https://example.com", device: "desktop", locale: "en" },
+            },
+            site_staging: {
+              data: { url: "https://staging.example.com" },
+            },
+            // 'site_staging_mobile' is not configured
+            site_staging_mobile_ja: {
+              data: { device: "mobile", locale: "ja" },
+            },
+          },
+        });
+        expect(config.getProfile("site_staging_mobile_ja").data).toEqual({
+          url   : "https://staging.example.com",
+          device: "mobile",
+          locale: "ja",
+        });
+      });
+
+      it("should inherit from the profile specified by 'extends'", () => {
+        const config = new Config("/path/to/project/archerfish.json5", {
+          profiles: {
+            foo: {
+              data: { answer: 42 },
+            },
+            bar: {
+              extends: "foo_baz",
+              data   : { nyan: "cat" },
+            },
+            foo_baz: {
+              data: { hello: "world" },
+            },
+          },
+        });
+        expect(config.getProfile("bar").data).toEqual({
+          answer: 42,
+          hello : "world",
+          nyan  : "cat",
+        });
+      });
+
+      it("should prefer 'extends' to the parent profile", () => {
+        const config = new Config("/path/to/project/archerfish.json5", {
+          profiles: {
+            foo: {
+              data: { answer: 42 },
+            },
+            bar: {
+              data: { nyan: "cat" },
+            },
+            foo_baz: {
+              extends: "bar",
+            },
+          },
+        });
+        expect(config.getProfile("foo_baz").data).toEqual({ nyan: "cat" });
+      });
+
+      it("should throw Error if the profile specified by 'extends' is not configured", () => {
+        expect(() =>
+          new Config("/path/to/project/archerfish.json5", {
+            profiles: {
+              foo: {
+                extends: "bar",
+              },
+            },
+          })
+        ).toThrowError(/extended profile 'bar' is not configured/);
+      });
+
+      it("should throw TypeError if 'extends' is not a string", () => {
+        expect(() =>
+          new Config("/path/to/project/archerfish.json5", {
+            profiles: {
+              foo: {
+                extends: 42,
+              },
+            },
+          })
+        ).toThrow(TypeError);
+      });
+
+      it("should throw Error if inheritance is circular", () => {
+        expect(() =>
+          new Config("/path/to/project/archerfish.json5", {
+            profiles: {
+              foo: {
+                extends: "bar",
+              },
+              bar: {
+                extends: "foo",
+              },
+            },
+          })
+        ).toThrowError(/circular inheritance/);
+        expect(() =>
+          new Config("/path/to/project/archerfish.json5", {
+            profiles: {
+              foo: {
+                extends: "foo",
+              },
+            },
+          })
+        ).toThrowError(/circular inheritance/);
+      });
+    });
+
     describe("#getProfile()", () => {
       it("should get a profile defined in the configuration", () => {
         const config = new Config("/path/to/project/archerfish.json5", {
@@ -87,6 +260,18 @@ describe("config", () => {
         expect(() =>
           new Profile("invalid-name", "/path/to/project", {})
         ).toThrowError(/invalid profile name/);
+        expect(() =>
+          new Profile("foo__bar", "/path/to/project", {})
+        ).toThrowError(/invalid profile name/);
+        expect(() =>
+          new Profile("foo_", "/path/to/project", {})
+        ).toThrowError(/invalid profile name/);
+      });
+
+      it("should accept multi-level subprofile names", () => {
+        expect(() =>
+          new Profile("site_staging_mobile_ja", "/path/to/project", {})
+        ).not.toThrow();
       });
 
       it("should throw TypeError if profile data is not an object", () => {
@@ -112,6 +297,195 @@ describe("config", () => {
           })
         ).toThrow(TypeError);
       });
+
+      it("should throw TypeError if 'threshold' is not a number between 0 and 1", () => {
+        expect(() =>
+          new Profile("foo", "/path/to/project", {
+            threshold: "0.1",
+          })
+        ).toThrow(TypeError);
+        expect(() =>
+          new Profile("foo", "/path/to/project", {
+            threshold: 1.5,
+          })
+        ).toThrow(TypeError);
+      });
+
+      it("should throw TypeError if 'retries' is not a non-negative integer", () => {
+        expect(() =>
+          new Profile("foo", "/path/to/project", {
+            retries: 1.5,
+          })
+        ).toThrow(TypeError);
+        expect(() =>
+          new Profile("foo", "/path/to/project", {
+            retries: -1,
+          })
+        ).toThrow(TypeError);
+      });
+
+      it("should throw TypeError if 'retryDelay' is not a non-negative number", () => {
+        expect(() =>
+          new Profile("foo", "/path/to/project", {
+            retryDelay: "1000",
+          })
+        ).toThrow(TypeError);
+      });
+
+      it("should throw TypeError if 'taskTimeout' is not a non-negative number", () => {
+        expect(() =>
+          new Profile("foo", "/path/to/project", {
+            taskTimeout: -1,
+          })
+        ).toThrow(TypeError);
+      });
+
+      it("should throw if 'viewports' is invalid", () => {
+        expect(() =>
+          new Profile("foo", "/path/to/project", {
+            viewports: { name: "desktop", width: 1280, height: 720 },
+          })
+        ).toThrow(TypeError);
+        expect(() =>
+          new Profile("foo", "/path/to/project", {
+            viewports: [42],
+          })
+        ).toThrow(TypeError);
+        expect(() =>
+          new Profile("foo", "/path/to/project", {
+            viewports: [{ name: "desk top", width: 1280, height: 720 }],
+          })
+        ).toThrow(/viewport name/);
+        expect(() =>
+          new Profile("foo", "/path/to/project", {
+            viewports: [{ name: "desktop", width: 1280 }],
+          })
+        ).toThrow(/must have device or width and height/);
+        expect(() =>
+          new Profile("foo", "/path/to/project", {
+            viewports: [
+              { name: "desktop", width: 1280, height: 720 },
+              { name: "desktop", width: 1920, height: 1080 },
+            ],
+          })
+        ).toThrow(/duplicate viewport name/);
+      });
+
+      it("should throw Error if 'screenshotsDir' or 'screenshotPath' is invalid", () => {
+        expect(() =>
+          new Profile("foo", "/path/to/project", {
+            screenshotsDir: "screenshots/{task}",
+          })
+        ).toThrow(/screenshotsDir must be a directory path/);
+        expect(() =>
+          new Profile("foo", "/path/to/project", {
+            screenshotPath: 42,
+          })
+        ).toThrow(/screenshotPath must be a path template/);
+        expect(() =>
+          new Profile("foo", "/path/to/project", {
+            screenshotPath: "{task}-{nyancat}.{ext}",
+          })
+        ).toThrow(/unknown placeholder '\{nyancat\}' in screenshotPath/);
+      });
+
+      it("should throw TypeError if 'isolate' is not a boolean", () => {
+        expect(() =>
+          new Profile("foo", "/path/to/project", {
+            isolate: "true",
+          })
+        ).toThrow(/isolate must be a boolean/);
+      });
+
+      it("should throw TypeError if 'page' is invalid", () => {
+        expect(() =>
+          new Profile("foo", "/path/to/project", {
+            page: 42,
+          })
+        ).toThrow(/page must be an object/);
+        expect(() =>
+          new Profile("foo", "/path/to/project", {
+            page: {
+              viewport: { width: 1280 },
+            },
+          })
+        ).toThrow(/page option 'viewport' must be an object with width and height/);
+        expect(() =>
+          new Profile("foo", "/path/to/project", {
+            page: {
+              extraHTTPHeaders: { "X-Foo": 42 },
+            },
+          })
+        ).toThrow(/page option 'extraHTTPHeaders' must be/);
+        expect(() =>
+          new Profile("foo", "/path/to/project", {
+            page: {
+              cookies: [{ name: "foo" }],
+            },
+          })
+        ).toThrow(/page option 'cookies' must be/);
+        expect(() =>
+          new Profile("foo", "/path/to/project", {
+            page: {
+              cookies: [{ name: "foo", value: "bar" }],
+            },
+          })
+        ).toThrow(/page option 'cookies' must be .* url or domain/);
+        expect(() =>
+          new Profile("foo", "/path/to/project", {
+            page: {
+              defaultNavigationTimeout: -1,
+            },
+          })
+        ).toThrow(/page option 'defaultNavigationTimeout' must be a non-negative number/);
+      });
+
+      it("should throw TypeError if 'pdf' is invalid", () => {
+        expect(() =>
+          new Profile("foo", "/path/to/project", {
+            pdf: "A4",
+          })
+        ).toThrow(/pdf must be an object/);
+        expect(() =>
+          new Profile("foo", "/path/to/project", {
+            pdf: {
+              margin: { top: true },
+            },
+          })
+        ).toThrow(/pdf option 'margin' must be an object with top, right, bottom and left/);
+        expect(() =>
+          new Profile("foo", "/path/to/project", {
+            pdf: {
+              printBackground: "yes",
+            },
+          })
+        ).toThrow(/pdf option 'printBackground' must be a boolean/);
+      });
+
+      it("should throw TypeError if 'launch' is specified but not an object", () => {
+        expect(() =>
+          new Profile("foo", "/path/to/project", {
+            launch: ["--no-sandbox"],
+          })
+        ).toThrow(TypeError);
+      });
+
+      it("should throw TypeError if a known launch option has an invalid value", () => {
+        expect(() =>
+          new Profile("foo", "/path/to/project", {
+            launch: {
+              headless: "false",
+            },
+          })
+        ).toThrow(/launch option 'headless' must be a boolean/);
+        expect(() =>
+          new Profile("foo", "/path/to/project", {
+            launch: {
+              args: "--no-sandbox",
+            },
+          })
+        ).toThrow(/launch option 'args' must be an array of strings/);
+      });
     });
 
     describe("#name", () => {
@@ -125,19 +499,257 @@ describe("config", () => {
       it("should retrive the hook associated to the profile", () => {
         const profile = new Profile("foo", "/path/to/project", {
           hooks: {
-            beforeAll: "path/to/beforeAll.js",
-            afterAll : "path/to/afterAll.js",
+            beforeAll : "path/to/beforeAll.js",
+            afterAll  : "path/to/afterAll.js",
+            beforeEach: "path/to/beforeEach.js",
+            afterEach : "path/to/afterEach.js",
           },
         });
         const hooks = profile.hooks;
         expect(hooks).toEqual({
-          beforeAll: "path/to/beforeAll.js",
-          afterAll : "path/to/afterAll.js",
+          beforeAll : "path/to/beforeAll.js",
+          afterAll  : "path/to/afterAll.js",
+          beforeEach: "path/to/beforeEach.js",
+          afterEach : "path/to/afterEach.js",
         });
         expect(Object.isFrozen(hooks)).toBe(true);
       });
     });
 
+    describe("#threshold", () => {
+      it("should retrieve the comparison threshold of the profile", () => {
+        const profile = new Profile("foo", "/path/to/project", {
+          threshold: 0.01,
+        });
+        expect(profile.threshold).toBe(0.01);
+      });
+
+      it("should be zero by default", () => {
+        const profile = new Profile("foo", "/path/to/project", {});
+        expect(profile.threshold).toBe(0);
+      });
+    });
+
+    describe("#retries", () => {
+      it("should retrieve the number of retries of the profile", () => {
+        const profile = new Profile("foo", "/path/to/project", {
+          retries: 2,
+        });
+        expect(profile.retries).toBe(2);
+      });
+
+      it("should be zero by default", () => {
+        const profile = new Profile("foo", "/path/to/project", {});
+        expect(profile.retries).toBe(0);
+      });
+    });
+
+    describe("#retryDelay", () => {
+      it("should retrieve the retry delay of the profile", () => {
+        const profile = new Profile("foo", "/path/to/project", {
+          retryDelay: 500,
+        });
+        expect(profile.retryDelay).toBe(500);
+      });
+
+      it("should be 1000 by default", () => {
+        const profile = new Profile("foo", "/path/to/project", {});
+        expect(profile.retryDelay).toBe(1000);
+      });
+    });
+
+    describe("#taskTimeout", () => {
+      it("should retrieve the task timeout of the profile", () => {
+        const profile = new Profile("foo", "/path/to/project", {
+          taskTimeout: 30000,
+        });
+        expect(profile.taskTimeout).toBe(30000);
+      });
+
+      it("should be zero (no limit) by default", () => {
+        const profile = new Profile("foo", "/path/to/project", {});
+        expect(profile.taskTimeout).toBe(0);
+      });
+    });
+
+    describe("#launch", () => {
+      it("should retrieve the launch options of the profile", () => {
+        const profile = new Profile("foo", "/path/to/project", {
+          launch: {
+            headless         : false,
+            args             : ["--no-sandbox"],
+            defaultViewport  : null,
+            ignoreHTTPSErrors: true,
+          },
+        });
+        const launch = profile.launch;
+        expect(launch).toEqual({
+          headless         : false,
+          args             : ["--no-sandbox"],
+          defaultViewport  : null,
+          ignoreHTTPSErrors: true,
+        });
+        expect(Object.isFrozen(launch)).toBe(true);
+      });
+
+      it("should be empty by default", () => {
+        const profile = new Profile("foo", "/path/to/project", {});
+        expect(profile.launch).toEqual({});
+      });
+    });
+
+    describe("#isolate", () => {
+      it("should retrieve whether tasks are isolated", () => {
+        const profile = new Profile("foo", "/path/to/project", {
+          isolate: true,
+        });
+        expect(profile.isolate).toBe(true);
+      });
+
+      it("should be false by default", () => {
+        const profile = new Profile("foo", "/path/to/project", {});
+        expect(profile.isolate).toBe(false);
+      });
+    });
+
+    describe("#page", () => {
+      it("should retrieve the page options of the profile", () => {
+        const profile = new Profile("foo", "/path/to/project", {
+          page: {
+            userAgent       : "nyancat",
+            extraHTTPHeaders: { "Accept-Language": "ja" },
+          },
+        });
+        const page = profile.page;
+        expect(page).toEqual({
+          userAgent       : "nyancat",
+          extraHTTPHeaders: { "Accept-Language": "ja" },
+        });
+        expect(Object.isFrozen(page)).toBe(true);
+      });
+
+      it("should be empty by default", () => {
+        const profile = new Profile("foo", "/path/to/project", {});
+        expect(profile.page).toEqual({});
+      });
+    });
+
+    describe("#screenshot", () => {
+      it("should retrieve the screenshot options of the profile", () => {
+        const profile = new Profile("foo", "/path/to/project", {
+          screenshot: {
+            hide     : [".ad"],
+            mask     : [".timestamp", ".avatar"],
+            maskColor: "black",
+            injectCss: "* { animation: none !important; }",
+          },
+        });
+        expect(profile.screenshot).toEqual({
+          hide     : [".ad"],
+          mask     : [".timestamp", ".avatar"],
+          maskColor: "black",
+          injectCss: "* { animation: none !important; }",
+        });
+        expect(Object.isFrozen(profile.screenshot)).toBe(true);
+      });
+
+      it("should throw TypeError if the screenshot options are invalid", () => {
+        expect(() =>
+          new Profile("foo", "/path/to/project", {
+            screenshot: {
+              hide: ".ad",
+            },
+          })
+        ).toThrow(/screenshot option 'hide' must be an array of selectors/);
+        expect(() =>
+          new Profile("foo", "/path/to/project", {
+            screenshot: {
+              stable: { frames: "3" },
+            },
+          })
+        ).toThrow(/screenshot option 'stable' must be a boolean or an object/);
+      });
+    });
+
+    describe("#pdf", () => {
+      it("should retrieve the PDF options of the profile", () => {
+        const profile = new Profile("foo", "/path/to/project", {
+          pdf: {
+            format         : "A4",
+            margin         : { top: "1cm", bottom: 20 },
+            printBackground: true,
+          },
+        });
+        expect(profile.pdf).toEqual({
+          format         : "A4",
+          margin         : { top: "1cm", bottom: 20 },
+          printBackground: true,
+        });
+        expect(Object.isFrozen(profile.pdf)).toBe(true);
+      });
+
+      it("should be empty by default", () => {
+        const profile = new Profile("foo", "/path/to/project", {});
+        expect(profile.pdf).toEqual({});
+      });
+    });
+
+    describe("#viewports", () => {
+      it("should retrieve the viewports of the profile", () => {
+        const profile = new Profile("foo", "/path/to/project", {
+          viewports: [
+            { name: "desktop", width: 1280, height: 720, deviceScaleFactor: 2 },
+            "iPhone X",
+            { name: "iphoneXja", device: "iPhone X", userAgent: "nyancat" },
+          ],
+        });
+        const viewports = profile.viewports;
+        expect(viewports).toEqual([
+          {
+            name     : "desktop",
+            device   : undefined,
+            viewport : { width: 1280, height: 720, deviceScaleFactor: 2 },
+            userAgent: undefined,
+          },
+          {
+            name     : "iPhoneX",
+            device   : "iPhone X",
+            viewport : undefined,
+            userAgent: undefined,
+          },
+          {
+            name     : "iphoneXja",
+            device   : "iPhone X",
+            viewport : undefined,
+            userAgent: "nyancat",
+          },
+        ]);
+        expect(Object.isFrozen(viewports)).toBe(true);
+        expect(Object.isFrozen(viewports[0])).toBe(true);
+      });
+
+      it("should be empty by default", () => {
+        const profile = new Profile("foo", "/path/to/project", {});
+        expect(profile.viewports).toEqual([]);
+      });
+    });
+
+    describe("#withData()", () => {
+      it("should create a copy of the profile with different data", () => {
+        const profile = new Profile("foo", "/path/to/project", {
+          retries: 2,
+          data   : { url: "https://example.com" },
+        });
+        const copied = profile.withData({ url: "https://example.org" });
+        expect(copied).toBeInstanceOf(Profile);
+        expect(copied.name).toBe("foo");
+        expect(copied.retries).toBe(2);
+        expect(copied.data).toEqual({ url: "https://example.org" });
+        expect(Object.isFrozen(copied.data)).toBe(true);
+        expect(profile.data).toEqual({ url: "https://example.com" });
+      });
+    });
+
     describe("#data", () => {
       it("should retrive the data associated to the profile", () => {
         const profile = new Profile("foo", "/path/to/project", {
@@ -178,6 +790,10 @@ describe("config", () => {
           const profile = new Profile("foo_bar", "/path/to/project", {});
           expect(profile.tasksDirPath()).toBe("/path/to/project/tasks/foo");
         }
+        {
+          const profile = new Profile("foo_bar_baz", "/path/to/project", {});
+          expect(profile.tasksDirPath()).toBe("/path/to/project/tasks/foo");
+        }
       });
     });
 
@@ -191,6 +807,58 @@ describe("config", () => {
           const profile = new Profile("foo_bar", "/path/to/project", {});
           expect(profile.screenshotsDirPath()).toBe("/path/to/project/screenshots/foo_bar");
         }
+        {
+          const profile = new Profile("foo_bar_baz", "/path/to/project", {});
+          expect(profile.screenshotsDirPath()).toBe("/path/to/project/screenshots/foo_bar_baz");
+        }
+      });
+
+      it("should use the screenshots directory configured by 'screenshotsDir'", () => {
+        const profile = new Profile("foo", "/path/to/project", {
+          screenshotsDir: "../docs/{profile}/assets",
+        });
+        expect(profile.screenshotsDirPath()).toBe("/path/to/docs/foo/assets");
+      });
+    });
+
+    describe("#screenshotPath", () => {
+      it("should retrieve the screenshot path template", () => {
+        {
+          const profile = new Profile("foo", "/path/to/project", {});
+          expect(profile.screenshotPath).toBe(undefined);
+        }
+        {
+          const profile = new Profile("foo", "/path/to/project", {
+            screenshotPath: "{task}/{name}.{ext}",
+          });
+          expect(profile.screenshotPath).toBe("{task}/{name}.{ext}");
+        }
+      });
+    });
+
+    describe("#baselinesDirPath()", () => {
+      it("should retrieve the path to the baselines directory of the profile", () => {
+        {
+          const profile = new Profile("foo", "/path/to/project", {});
+          expect(profile.baselinesDirPath()).toBe("/path/to/project/baselines/foo");
+        }
+        {
+          const profile = new Profile("foo_bar", "/path/to/project", {});
+          expect(profile.baselinesDirPath()).toBe("/path/to/project/baselines/foo_bar");
+        }
+      });
+    });
+
+    describe("#diffsDirPath()", () => {
+      it("should retrieve the path to the diffs directory of the profile", () => {
+        {
+          const profile = new Profile("foo", "/path/to/project", {});
+          expect(profile.diffsDirPath()).toBe("/path/to/project/diffs/foo");
+        }
+        {
+          const profile = new Profile("foo_bar", "/path/to/project", {});
+          expect(profile.diffsDirPath()).toBe("/path/to/project/diffs/foo_bar");
+        }
       });
     });
   });
@@ -217,6 +885,18 @@ describe("config", () => {
       }, { unsafeCleanup: true });
     });
 
+    it("should do nothing if there is already a JS configuration file", async () => {
+      await tmp.withDir(async dir => {
+        await writeFileAsync(
+          path.resolve(dir.path, jsConfigFileName),
+          "module.exports = { profiles: {} };",
+          "utf8"
+        );
+        await initConfig(dir.path);
+        expect(await readdirAsync(dir.path)).toEqual([jsConfigFileName]);
+      }, { unsafeCleanup: true });
+    });
+
     it("should fail if some unknown error has occurred", async () => {
       await tmp.withDir(async dir => {
         const childDirPath = path.resolve(dir.path, "child");
@@ -232,6 +912,32 @@ describe("config", () => {
     });
   });
 
+  describe("parseDataOverrides()", () => {
+    it("should parse data overrides", () => {
+      expect(parseDataOverrides([
+        "url=https://example.com/?a=b",
+        "user.name=nyancat",
+        "user.age=42",
+        "user.admin=true",
+        "empty=",
+      ])).toEqual({
+        url : "https://example.com/?a=b",
+        user: {
+          name : "nyancat",
+          age  : 42,
+          admin: true,
+        },
+        empty: "",
+      });
+    });
+
+    it("should throw Error if an override is invalid", () => {
+      expect(() => parseDataOverrides(["foo"])).toThrow(/invalid data override 'foo'/);
+      expect(() => parseDataOverrides(["=foo"])).toThrow(/invalid data override '=foo'/);
+      expect(() => parseDataOverrides(["foo..bar=1"])).toThrow(/invalid data override/);
+    });
+  });
+
   describe("loadConfig()", () => {
     it("should load a configuration at the nearest ancestor directory", async () => {
       await tmp.withDir(async dir => {
@@ -264,6 +970,106 @@ describe("config", () => {
       }, { unsafeCleanup: true });
     });
 
+    it("should load a JavaScript configuration that exports an object", async () => {
+      await tmp.withDir(async dir => {
+        const content = `
+          "use strict";
+
+          module.exports = {
+            profiles: {
+              foo: { data: { url: "https://example.com" } },
+            },
+          };
+        `;
+        await writeFileAsync(path.resolve(dir.path, jsConfigFileName), content, "utf8");
+        const config = await loadConfig(dir.path);
+        expect(config.filePath()).toBe(path.resolve(dir.path, jsConfigFileName));
+        expect(config.getProfile("foo").data).toEqual({ url: "https://example.com" });
+      }, { unsafeCleanup: true });
+    });
+
+    it("should load a JavaScript configuration that exports a function", async () => {
+      await tmp.withDir(async dir => {
+        const content = `
+          "use strict";
+
+          module.exports = async ({ env, options }) => {
+            const sites = ["foo", "bar"];
+            const profiles = {};
+            for (const site of sites) {
+              profiles[site] = { data: { home: env.HOME, bail: options.bail } };
+            }
+            return { profiles };
+          };
+        `;
+        await writeFileAsync(path.resolve(dir.path, jsConfigFileName), content, "utf8");
+        const config = await loadConfig(dir.path, { bail: true });
+        expect(config.getProfile("foo").data).toEqual({ home: process.env.HOME, bail: true });
+        expect(config.getProfile("bar").data).toEqual({ home: process.env.HOME, bail: true });
+      }, { unsafeCleanup: true });
+    });
+
+    it("should interpolate environment variables including those in .env", async () => {
+      await tmp.withDir(async dir => {
+        const content = json5.stringify({
+          profiles: {
+            foo: {
+              /* eslint-disable no-template-curly-in-string */
+              data: {
+                home : "${HOME}",
+                url  : "${ARCHERFISH_TEST_URL}",
+                token: "${ARCHERFISH_TEST_TOKEN:-none}",
+              },
+              /* eslint-enable no-template-curly-in-string */
+            },
+          },
+        });
+        await writeFileAsync(path.resolve(dir.path, configFileName), content, "utf8");
+        await writeFileAsync(
+          path.resolve(dir.path, ".env"),
+          "ARCHERFISH_TEST_URL=https://example.com\nHOME=/nyancat\n",
+          "utf8"
+        );
+        const config = await loadConfig(dir.path);
+        expect(config.getProfile("foo").data).toEqual({
+          home : process.env.HOME, // not overridden by .env
+          url  : "https://example.com",
+          token: "none",
+        });
+      }, { unsafeCleanup: true });
+    });
+
+    it("should prefer the JSON5 configuration in the same directory", async () => {
+      await tmp.withDir(async dir => {
+        const content = json5.stringify({
+          profiles: {
+            foo: {},
+          },
+        });
+        await writeFileAsync(path.resolve(dir.path, configFileName), content, "utf8");
+        const jsContent = `
+          "use strict";
+
+          module.exports = { profiles: { bar: {} } };
+        `;
+        await writeFileAsync(path.resolve(dir.path, jsConfigFileName), jsContent, "utf8");
+        const config = await loadConfig(dir.path);
+        expect(config.filePath()).toBe(path.resolve(dir.path, configFileName));
+      }, { unsafeCleanup: true });
+    });
+
+    it("should fail if a JavaScript configuration is invalid", async () => {
+      await tmp.withDir(async dir => {
+        const content = `
+          "use strict";
+
+          module.exports = async () => ({ profiles: 42 });
+        `;
+        await writeFileAsync(path.resolve(dir.path, jsConfigFileName), content, "utf8");
+        await expect(loadConfig(dir.path)).rejects.toThrowError(/failed to load/);
+      }, { unsafeCleanup: true });
+    });
+
     it("should fail if configuration is invalid", async () => {
       await tmp.withDir(async dir => {
         const content = json5.stringify({
@@ -287,10 +1093,152 @@ describe("config", () => {
       }, { unsafeCleanup: true });
     });
 
+    it("should report all the errors with line numbers at once", async () => {
+      await tmp.withDir(async dir => {
+        const content = [
+          "{",
+          "  profiles: {",
+          "    foo: {",
+          "      retries: -1,",
+          "      hooks: { beforeAll: 42 },",
+          "    },",
+          "  },",
+          "}",
+        ].join("\n");
+        const configFilePath = path.resolve(dir.path, configFileName);
+        await writeFileAsync(configFilePath, content, "utf8");
+        const promise = loadConfig(dir.path);
+        await expect(promise).rejects.toThrowError(/failed to load/);
+        await expect(promise).rejects.toThrowError(
+          `${configFilePath}:4: profiles.foo.retries: retries must be a non-negative integer`
+        );
+        await expect(promise).rejects.toThrowError(
+          `${configFilePath}:5: profiles.foo.hooks.beforeAll: hook 'beforeAll' must be a file path`
+        );
+      }, { unsafeCleanup: true });
+    });
+
+    it("should report unset environment variables along with the other errors", async () => {
+      await tmp.withDir(async dir => {
+        const content = [
+          "{",
+          "  profiles: {",
+          "    foo: {",
+          "      retries: -1,",
+          /* eslint-disable no-template-curly-in-string */
+          "      data: { token: \"${ARCHERFISH_TEST_UNSET}\" },",
+          /* eslint-enable no-template-curly-in-string */
+          "    },",
+          "  },",
+          "}",
+        ].join("\n");
+        const configFilePath = path.resolve(dir.path, configFileName);
+        await writeFileAsync(configFilePath, content, "utf8");
+        const promise = loadConfig(dir.path);
+        await expect(promise).rejects.toThrowError(
+          `${configFilePath}:5: profiles.foo.data.token:`
+          + " environment variable 'ARCHERFISH_TEST_UNSET' is not set"
+        );
+        await expect(promise).rejects.toThrowError(
+          `${configFilePath}:4: profiles.foo.retries: retries must be a non-negative integer`
+        );
+      }, { unsafeCleanup: true });
+    });
+
+    it("should not fail if there are only warnings", async () => {
+      await tmp.withDir(async dir => {
+        const content = json5.stringify({
+          profiles: {
+            foo: { hook: {} },
+          },
+        });
+        await writeFileAsync(path.resolve(dir.path, configFileName), content, "utf8");
+        const config = await loadConfig(dir.path);
+        expect(config.getProfile("foo").hooks).toEqual({});
+      }, { unsafeCleanup: true });
+    });
+
     it("should fail if no configuration file found", async () => {
       await tmp.withDir(async dir => {
         await expect(loadConfig(dir.path)).rejects.toThrowError(/no configuration file found/);
       }, { unsafeCleanup: true });
     });
   });
+
+  describe("validateConfig()", () => {
+    it("should report no problems for a valid project", async () => {
+      await tmp.withDir(async dir => {
+        const content = json5.stringify({
+          profiles: {
+            foo: {
+              hooks: { beforeAll: "hooks/before" },
+            },
+            foo_bar: {},
+          },
+        });
+        await writeFileAsync(path.resolve(dir.path, configFileName), content, "utf8");
+        await mkdirAsync(path.resolve(dir.path, "hooks"));
+        await writeFileAsync(path.resolve(dir.path, "hooks", "before.js"), "", "utf8");
+        await mkdirAsync(path.resolve(dir.path, "tasks"));
+        await mkdirAsync(path.resolve(dir.path, "tasks", "foo"));
+        const res = await validateConfig(dir.path);
+        expect(res.filePath).toBe(path.resolve(dir.path, configFileName));
+        expect(res.problems).toEqual([]);
+      }, { unsafeCleanup: true });
+    });
+
+    it("should check that the hook files and the tasks directories exist", async () => {
+      await tmp.withDir(async dir => {
+        const content = [
+          "{",
+          "  profiles: {",
+          "    foo: {",
+          "      hooks: {",
+          "        beforeAll: \"hooks/before.js\",",
+          "      },",
+          "    },",
+          "  },",
+          "}",
+        ].join("\n");
+        await writeFileAsync(path.resolve(dir.path, configFileName), content, "utf8");
+        const res = await validateConfig(dir.path);
+        expect(res.problems).toEqual([
+          {
+            severity: "error",
+            path    : "profiles.foo.hooks.beforeAll",
+            line    : 5,
+            message : "hook file 'hooks/before.js' does not exist",
+          },
+          {
+            severity: "warning",
+            path    : "profiles.foo",
+            line    : 3,
+            message : `tasks directory '${path.resolve(dir.path, "tasks", "foo")}' does not exist`,
+          },
+        ]);
+      }, { unsafeCleanup: true });
+    });
+
+    it("should report errors instead of throwing", async () => {
+      await tmp.withDir(async dir => {
+        const content = json5.stringify({
+          profiles: {
+            foo: { extends: "bar" },
+            bar: { extends: "foo" },
+          },
+        });
+        await writeFileAsync(path.resolve(dir.path, configFileName), content, "utf8");
+        const res = await validateConfig(dir.path);
+        expect(res.problems).toEqual([
+          expect.objectContaining({
+            severity: "error",
+            message : expect.stringMatching(/circular/),
+          }),
+        ]);
+        await writeFileAsync(path.resolve(dir.path, configFileName), "{", "utf8");
+        const res2 = await validateConfig(dir.path);
+        expect(res2.problems).toEqual([expect.objectContaining({ severity: "error" })]);
+      }, { unsafeCleanup: true });
+    });
+  });
 });
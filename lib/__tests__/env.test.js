@@ -0,0 +1,92 @@
+/* eslint-disable no-template-curly-in-string */
+
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const tmp = require("tmp-promise");
+const util = require("util");
+
+const { dotenvFileName, parseDotenv, loadDotenv, interpolateEnv } = require("../env");
+
+const writeFileAsync = util.promisify(fs.writeFile);
+
+describe("env", () => {
+  describe("parseDotenv()", () => {
+    it("should parse the content of a .env file", () => {
+      const content = [
+        "# comment",
+        "",
+        "FOO=foo",
+        "export BAR = bar # comment",
+        "BAZ=\"hello\\nworld\"",
+        "QUX='# not a comment'",
+        "EMPTY=",
+        "invalid line",
+      ].join("\n");
+      expect(parseDotenv(content)).toEqual({
+        FOO  : "foo",
+        BAR  : "bar",
+        BAZ  : "hello\nworld",
+        QUX  : "# not a comment",
+        EMPTY: "",
+      });
+    });
+  });
+
+  describe("loadDotenv()", () => {
+    it("should load the .env file in the directory", async () => {
+      await tmp.withDir(async dir => {
+        await writeFileAsync(path.resolve(dir.path, dotenvFileName), "FOO=foo\n", "utf8");
+        expect(await loadDotenv(dir.path)).toEqual({ FOO: "foo" });
+      }, { unsafeCleanup: true });
+    });
+
+    it("should return an empty object if no .env file exists", async () => {
+      await tmp.withDir(async dir => {
+        expect(await loadDotenv(dir.path)).toEqual({});
+      }, { unsafeCleanup: true });
+    });
+  });
+
+  describe("interpolateEnv()", () => {
+    it("should interpolate environment variables in string values", () => {
+      const env = {
+        HOST : "example.com",
+        EMPTY: "",
+      };
+      const data = {
+        url    : "https://${HOST}/",
+        list   : ["${HOST}", 42, null],
+        nested : { port: "${PORT:-8080}", empty: "${EMPTY:-default}" },
+        escaped: "$${HOST}",
+      };
+      expect(interpolateEnv(data, env)).toEqual({
+        url    : "https://example.com/",
+        list   : ["example.com", 42, null],
+        nested : { port: "8080", empty: "default" },
+        escaped: "${HOST}",
+      });
+      expect(data.url).toBe("https://${HOST}/");
+    });
+
+    it("should report variables without default that are not set", () => {
+      const reported = [];
+      const data = { data: { token: "${TOKEN}", list: ["${HOST}"] } };
+      const res = interpolateEnv(data, {}, (keys, message) => {
+        reported.push([keys, message]);
+      });
+      expect(reported).toEqual([
+        [["data", "token"], "environment variable 'TOKEN' is not set"],
+        [["data", "list", 0], "environment variable 'HOST' is not set"],
+      ]);
+      expect(res).toEqual(data);
+    });
+
+    it("should throw Error if a variable is not set and no reporter is given", () => {
+      expect(() => interpolateEnv({ data: { token: "${TOKEN}" } }, {})).toThrow(
+        "environment variable 'TOKEN' is not set"
+      );
+    });
+  });
+});
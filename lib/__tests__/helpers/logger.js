@@ -0,0 +1,21 @@
+"use strict";
+
+/**
+ * Creates a logger that records messages.
+ * @returns {Object} A logger with `trace`, `info`, `warn` and `error` methods, and `messages`
+ * (the recorded `[level, message]` pairs).
+ */
+function createRecordingLogger() {
+  const messages = [];
+  const logger = { messages };
+  for (const level of ["trace", "info", "warn", "error"]) {
+    logger[level] = msg => {
+      messages.push([level, msg]);
+    };
+  }
+  return logger;
+}
+
+module.exports = {
+  createRecordingLogger,
+};
@@ -0,0 +1,100 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { PNG } = require("pngjs");
+const tmp = require("tmp-promise");
+const util = require("util");
+
+const { Profile } = require("../config");
+const {
+  hashContent,
+  readImageSize,
+  createManifest,
+  writeManifest,
+  readManifest,
+} = require("../manifest");
+
+const readFileAsync = util.promisify(fs.readFile);
+
+describe("manifest", () => {
+  describe("hashContent()", () => {
+    it("should compute the SHA-256 hash of the content", () => {
+      expect(hashContent(Buffer.from("nyancat"))).toBe(
+        "sha256:f9f6dc9231fd9c29ef1bc2496093fd3d8a001c82941af955649ec41e31c9aea7"
+      );
+    });
+  });
+
+  describe("readImageSize()", () => {
+    it("should read the dimensions of a PNG image", () => {
+      const image = new PNG({ width: 3, height: 5 });
+      expect(readImageSize(PNG.sync.write(image))).toEqual({ width: 3, height: 5 });
+    });
+
+    it("should read the dimensions of a JPEG image", () => {
+      const content = Buffer.from([
+        0xFF, 0xD8,
+        // APP0
+        0xFF, 0xE0, 0x00, 0x04, 0x00, 0x00,
+        // SOF0: length, precision, height, width
+        0xFF, 0xC0, 0x00, 0x0B, 0x08, 0x00, 0x07, 0x00, 0x0D, 0x01, 0x01, 0x11, 0x00,
+      ]);
+      expect(readImageSize(content)).toEqual({ width: 13, height: 7 });
+    });
+
+    it("should return undefined if the format is unknown", () => {
+      expect(readImageSize(Buffer.from("%PDF-1.4\n"))).toBe(undefined);
+    });
+  });
+
+  describe("createManifest()", () => {
+    it("should list the captures of all results", () => {
+      const profile = new Profile("foo", "/", {});
+      const results = [
+        { captures: [{ file: "a.png" }, { file: "a-1.png" }] },
+        { captures: [] },
+        { captures: [{ file: "b.png" }] },
+      ];
+      const date = new Date("2018-01-02T03:04:05Z");
+      expect(createManifest(profile, results, date)).toEqual({
+        profile    : "foo",
+        createdAt  : "2018-01-02T03:04:05.000Z",
+        screenshots: [{ file: "a.png" }, { file: "a-1.png" }, { file: "b.png" }],
+      });
+    });
+  });
+
+  describe("writeManifest()", () => {
+    it("should write a manifest to the screenshots directory", async () => {
+      await tmp.withDir(async dir => {
+        const profile = new Profile("foo", dir.path, {});
+        const manifestFilePath = await writeManifest(profile, [{ captures: [{ file: "a.png" }] }]);
+        expect(manifestFilePath).toBe(path.resolve(dir.path, "screenshots/foo/manifest.json"));
+        const manifest = JSON.parse(await readFileAsync(manifestFilePath, "utf8"));
+        expect(manifest).toEqual({
+          profile    : "foo",
+          createdAt  : expect.any(String),
+          screenshots: [{ file: "a.png" }],
+        });
+      }, { unsafeCleanup: true });
+    });
+  });
+
+  describe("readManifest()", () => {
+    it("should read the manifest of the profile", async () => {
+      await tmp.withDir(async dir => {
+        const profile = new Profile("foo", dir.path, {});
+        expect(await readManifest(profile)).toBe(null);
+        await writeManifest(profile, [{ captures: [{ file: "a.png" }] }]);
+        expect(await readManifest(profile)).toEqual({
+          profile    : "foo",
+          createdAt  : expect.any(String),
+          screenshots: [{ file: "a.png" }],
+        });
+        const otherProfile = new Profile("bar", dir.path, { screenshotsDir: "screenshots/foo" });
+        expect(await readManifest(otherProfile)).toBe(null);
+      }, { unsafeCleanup: true });
+    });
+  });
+});
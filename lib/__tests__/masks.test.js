@@ -0,0 +1,85 @@
+"use strict";
+
+const puppeteer = require("puppeteer"); // mocked
+
+const { resolveMaskOptions, applyMasks } = require("../masks");
+
+describe("masks", () => {
+  describe("resolveMaskOptions()", () => {
+    it("should resolve the mask options from the defaults and the given options", () => {
+      expect(resolveMaskOptions({}, {})).toEqual({
+        hide     : [],
+        mask     : [],
+        maskColor: "#FF00FF",
+        injectCss: "",
+      });
+      expect(resolveMaskOptions({
+        hide     : [".ad"],
+        mask     : [".timestamp"],
+        maskColor: "black",
+      }, {
+        mask     : [".avatar"],
+        injectCss: "* { animation: none !important; }",
+        fullPage : true,
+      })).toEqual({
+        hide     : [".ad"],
+        mask     : [".avatar"],
+        maskColor: "black",
+        injectCss: "* { animation: none !important; }",
+      });
+    });
+
+    it("should throw TypeError if an option is invalid", () => {
+      expect(() => resolveMaskOptions({}, { hide: ".ad" })).toThrow(TypeError);
+      expect(() => resolveMaskOptions({}, { mask: [42] })).toThrow(TypeError);
+      expect(() => resolveMaskOptions({}, { maskColor: 0 })).toThrow(TypeError);
+    });
+  });
+
+  describe("applyMasks()", () => {
+    it("should apply the masks to the page and return a function that reverts them", async () => {
+      const browser = await puppeteer.launch();
+      const page = await browser.newPage();
+      const revert = await applyMasks(page, resolveMaskOptions({}, {
+        hide: [".ad"],
+        mask: [".timestamp"],
+      }));
+      expect(browser.evaluations).toEqual([
+        [
+          "applyInPage",
+          "data-archerfish-mask",
+          expect.any(String),
+          [".ad"],
+          [".timestamp"],
+          "#FF00FF",
+          "",
+        ],
+      ]);
+      const token = browser.evaluations[0][2];
+      await revert();
+      expect(browser.evaluations[1]).toEqual(["revertInPage", "data-archerfish-mask", token]);
+    });
+
+    it("should evaluate in the execution context of an element", async () => {
+      const evaluations = [];
+      const elem = {
+        executionContext: () => ({
+          evaluate: async fn => {
+            evaluations.push(fn.name);
+          },
+        }),
+      };
+      const revert = await applyMasks(elem, resolveMaskOptions({}, { injectCss: "* {}" }));
+      await revert();
+      expect(evaluations).toEqual(["applyInPage", "revertInPage"]);
+    });
+
+    it("should do nothing if there is nothing to apply", async () => {
+      const browser = await puppeteer.launch();
+      const page = await browser.newPage();
+      const revert = await applyMasks(page, resolveMaskOptions({}, {}));
+      await revert();
+      expect(browser.evaluations).toEqual([]);
+    });
+  });
+});
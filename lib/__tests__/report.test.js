@@ -0,0 +1,145 @@
+"use strict";
+
+const fs = require("fs");
+const mkdirp = require("mkdirp");
+const path = require("path");
+const tmp = require("tmp-promise");
+const util = require("util");
+
+const { Profile } = require("../config");
+const { taskStatuses } = require("../tasks");
+const { reportFileName, renderReport, writeReport } = require("../report");
+
+const mkdirpAsync = util.promisify(mkdirp);
+const readFileAsync = util.promisify(fs.readFile);
+const writeFileAsync = util.promisify(fs.writeFile);
+
+describe("report", () => {
+  describe("renderReport()", () => {
+    it("should render a report containing task statuses, screenshots and profile data", () => {
+      const profile = new Profile("foo", "/path/to/project", {
+        data: {
+          url: "https://example.com/?a=1&b=2",
+        },
+      });
+      const screenshotsDirPath = profile.screenshotsDirPath();
+      const error = new Error("<nyancat>");
+      const results = [
+        {
+          taskFilePath: "/path/to/project/tasks/foo/pages/main.js",
+          taskFileName: "pages/main.js",
+          status      : taskStatuses.passed,
+          error       : undefined,
+          duration    : 1234,
+          screenshots : [
+            path.resolve(screenshotsDirPath, "pages/main.png"),
+            path.resolve(screenshotsDirPath, "pages/main-hello world.png"),
+          ],
+          pdfs: [path.resolve(screenshotsDirPath, "pages/main.pdf")],
+        },
+        {
+          taskFilePath: "/path/to/project/tasks/foo/nyancat.js",
+          taskFileName: "nyancat.js",
+          status      : taskStatuses.failed,
+          error       : error,
+          duration    : 42,
+          screenshots : [],
+        },
+      ];
+      const html = renderReport(profile, results, screenshotsDirPath, new Date(0));
+      expect(html).toMatch(/^<!DOCTYPE html>/);
+      expect(html).toContain("1970-01-01T00:00:00.000Z");
+      expect(html).toContain(
+        "<span>2 task(s)</span><span>1 passed</span><span>1 failed</span><span>0 skipped</span>"
+      );
+      expect(html).toContain("<h2>pages/main.js</h2>");
+      expect(html).toContain("<span class=\"status status-passed\">passed</span>");
+      expect(html).toContain("<span class=\"duration\">1.23 s</span>");
+      expect(html).toContain("<img src=\"pages/main.png\"");
+      expect(html).toContain("<img src=\"pages/main-hello%20world.png\"");
+      expect(html).toContain("<a href=\"pages/main.pdf\">main.pdf</a>");
+      expect(html).toContain("<h2>nyancat.js</h2>");
+      expect(html).toContain("<span class=\"status status-failed\">failed</span>");
+      expect(html).toContain("Error: &lt;nyancat&gt;");
+      expect(html).toContain("https://example.com/?a=1&amp;b=2");
+    });
+
+    it("should group the results by task file", () => {
+      const profile = new Profile("foo", "/path/to/project", {});
+      const screenshotsDirPath = profile.screenshotsDirPath();
+      const createResult = (taskFileName, viewport) => ({
+        taskFilePath: path.resolve("/path/to/project/tasks/foo", taskFileName),
+        taskFileName: taskFileName,
+        viewport    : viewport,
+        status      : taskStatuses.passed,
+        error       : undefined,
+        duration    : 0,
+        screenshots : [path.resolve(screenshotsDirPath, `${taskFileName}@${viewport}.png`)],
+      });
+      const results = [
+        createResult("a.js", "desktop"),
+        createResult("b.js", "desktop"),
+        createResult("a.js", "mobile"),
+      ];
+      const html = renderReport(profile, results, screenshotsDirPath, new Date(0));
+      const headings = html.match(/<h[23]>[^<]*<\/h[23]>/g);
+      expect(headings).toEqual([
+        "<h2>a.js</h2>",
+        "<h3>desktop</h3>",
+        "<h3>mobile</h3>",
+        "<h2>b.js</h2>",
+        "<h3>desktop</h3>",
+      ]);
+    });
+
+    it("should embed the given screenshots as data URIs", () => {
+      const profile = new Profile("foo", "/path/to/project", {});
+      const screenshotsDirPath = profile.screenshotsDirPath();
+      const pngFilePath = path.resolve(screenshotsDirPath, "main.png");
+      const jpegFilePath = path.resolve(screenshotsDirPath, "main.jpg");
+      const results = [
+        {
+          taskFilePath: "/path/to/project/tasks/foo/main.js",
+          taskFileName: "main.js",
+          status      : taskStatuses.passed,
+          error       : undefined,
+          duration    : 0,
+          screenshots : [pngFilePath, jpegFilePath],
+        },
+      ];
+      const images = new Map([
+        [pngFilePath, Buffer.from("png")],
+        [jpegFilePath, Buffer.from("jpeg")],
+      ]);
+      const html = renderReport(profile, results, screenshotsDirPath, new Date(0), images);
+      expect(html).toContain("<img src=\"data:image/png;base64,cG5n\"");
+      expect(html).toContain("<img src=\"data:image/jpeg;base64,anBlZw==\"");
+      expect(html).not.toContain("src=\"main.png\"");
+    });
+  });
+
+  describe("writeReport()", () => {
+    it("should write a report to the screenshots directory of the profile", async () => {
+      await tmp.withDir(async dir => {
+        const profile = new Profile("foo", dir.path, {});
+        const screenshotFilePath = path.resolve(profile.screenshotsDirPath(), "test.png");
+        await mkdirpAsync(profile.screenshotsDirPath());
+        await writeFileAsync(screenshotFilePath, "nyancat");
+        const reportFilePath = await writeReport(profile, [{
+          taskFilePath: path.resolve(profile.tasksDirPath(), "test.js"),
+          taskFileName: "test.js",
+          status      : taskStatuses.passed,
+          error       : undefined,
+          duration    : 0,
+          screenshots : [screenshotFilePath],
+        }]);
+        expect(reportFilePath).toBe(path.resolve(profile.screenshotsDirPath(), reportFileName));
+        const content = await readFileAsync(reportFilePath, "utf8");
+        expect(content).toContain("archerfish report: foo");
+        expect(content).toContain(
+          `<img src="data:image/png;base64,${Buffer.from("nyancat").toString("base64")}"`
+        );
+      }, { unsafeCleanup: true });
+    });
+  });
+});
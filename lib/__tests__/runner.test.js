@@ -0,0 +1,229 @@
+"use strict";
+
+const fs = require("fs");
+const mkdirp = require("mkdirp");
+const path = require("path");
+const puppeteer = require("puppeteer"); // mocked
+const tmp = require("tmp-promise");
+const util = require("util");
+
+const { Config, Profile, configFileName } = require("../config");
+const { taskStatuses } = require("../tasks");
+const { Runner, createRunner } = require("../runner");
+const { writeManifest } = require("../manifest");
+const { createRecordingLogger } = require("./helpers/logger");
+
+const mkdirpAsync = util.promisify(mkdirp);
+const readFileAsync = util.promisify(fs.readFile);
+const statAsync = util.promisify(fs.stat);
+const writeFileAsync = util.promisify(fs.writeFile);
+
+/**
+ * Checks whether a file exists.
+ * @param {string} filePath
+ * @returns {Promise<boolean>}
+ */
+async function exists(filePath) {
+  try {
+    await statAsync(filePath);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+describe("runner", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("createRunner()", () => {
+    it("should create a runner from a configuration and a profile name", () => {
+      const config = new Config(path.resolve("/path/to/project", configFileName), {
+        profiles: {
+          foo: {},
+        },
+      });
+      const runner = createRunner({ config, profile: "foo" });
+      expect(runner).toBeInstanceOf(Runner);
+      expect(runner.profile.name).toBe("foo");
+      expect(runner.profile.rootDirPath()).toBe("/path/to/project");
+    });
+
+    it("should create a runner from a raw configuration data", () => {
+      const runner = createRunner({
+        config : { profiles: { foo: {} } },
+        profile: "foo",
+        rootDir: "/path/to/project",
+      });
+      expect(runner.profile.name).toBe("foo");
+      expect(runner.profile.rootDirPath()).toBe("/path/to/project");
+    });
+
+    it("should create a runner from a profile", () => {
+      const profile = new Profile("foo", "/path/to/project", {});
+      const runner = createRunner({ profile });
+      expect(runner.profile).toBe(profile);
+    });
+
+    it("should throw if the options are invalid", () => {
+      expect(() => createRunner()).toThrow(TypeError);
+      expect(() => createRunner({ config: { profiles: {} }, profile: 42 })).toThrow(TypeError);
+      expect(() => createRunner({ config: 42, profile: "foo" })).toThrow(TypeError);
+      expect(() => createRunner({ config: { profiles: {} }, profile: "foo" })).toThrow(
+        /profile 'foo' is not configured/
+      );
+    });
+  });
+
+  describe("Runner", () => {
+    describe("#run()", () => {
+      it("should run tasks and emit events", async () => {
+        await tmp.withDir(async dir => {
+          const profile = new Profile("foo", dir.path, {});
+          // prepare tasks directory
+          const tasksDirPath = profile.tasksDirPath();
+          await mkdirpAsync(tasksDirPath);
+          // create task files
+          const taskContent = `
+            "use strict";
+
+            module.exports = async ({ browser, screenshot }) => {
+              const page = await browser.newPage();
+              await screenshot(page);
+            };
+          `;
+          await writeFileAsync(path.resolve(tasksDirPath, "a.js"), taskContent, "utf8");
+          // check
+          const logger = createRecordingLogger();
+          const launch = jest.spyOn(puppeteer, "launch");
+          const runner = createRunner({ profile, logger });
+          const events = [];
+          for (const event of ["taskStart", "screenshot", "taskEnd"]) {
+            runner.on(event, data => {
+              events.push([event, data]);
+            });
+          }
+          const summary = await runner.run();
+          const browser = await launch.mock.results[0].value;
+          expect(browser.closed).toBe(true);
+          expect(summary.ok).toBe(true);
+          expect(summary.passed).toBe(1);
+          expect(summary.results[0].status).toBe(taskStatuses.passed);
+          const screenshotFilePath = path.resolve(profile.screenshotsDirPath(), "a.png");
+          expect(events).toEqual([
+            ["taskStart", {
+              taskFilePath: path.resolve(tasksDirPath, "a.js"),
+              taskFileName: "a.js",
+              viewport    : undefined,
+              attempt     : 1,
+            }],
+            ["screenshot", {
+              taskFilePath: path.resolve(tasksDirPath, "a.js"),
+              taskFileName: "a.js",
+              viewport    : undefined,
+              filePath    : screenshotFilePath,
+              metadata    : expect.objectContaining({ file: "a.png", taskFile: "a.js" }),
+            }],
+            ["taskEnd", summary.results[0]],
+          ]);
+          expect(logger.messages).toContainEqual(["info", "All tasks finished!"]);
+          expect(summary.manifestFilePath).toBe(
+            path.resolve(profile.screenshotsDirPath(), "manifest.json")
+          );
+          const manifest = JSON.parse(await readFileAsync(summary.manifestFilePath, "utf8"));
+          expect(manifest).toEqual({
+            profile    : "foo",
+            createdAt  : expect.any(String),
+            screenshots: [summary.results[0].captures[0]],
+          });
+        }, { unsafeCleanup: true });
+      });
+
+      it("should run tasks on the given browser without closing it", async () => {
+        await tmp.withDir(async dir => {
+          const profile = new Profile("foo", dir.path, {});
+          // prepare tasks directory
+          const tasksDirPath = profile.tasksDirPath();
+          await mkdirpAsync(tasksDirPath);
+          // create task files
+          const taskContent = `
+            "use strict";
+
+            module.exports = async ({ browser }) => {
+              browser.tasks.push("a.js");
+            };
+          `;
+          await writeFileAsync(path.resolve(tasksDirPath, "a.js"), taskContent, "utf8");
+          // check
+          const browser = await puppeteer.launch();
+          const launch = jest.spyOn(puppeteer, "launch");
+          const runner = createRunner({ profile, browser, logger: createRecordingLogger() });
+          const summary = await runner.run(["*.js"]);
+          expect(summary.ok).toBe(true);
+          expect(launch).not.toHaveBeenCalled();
+          expect(browser.tasks).toEqual(["a.js"]);
+          expect(browser.closed).toBe(false);
+        }, { unsafeCleanup: true });
+      });
+
+      it("should report changes of screenshots and prune stale ones if enabled", async () => {
+        await tmp.withDir(async dir => {
+          const profile = new Profile("foo", dir.path, {});
+          // prepare tasks directory
+          const tasksDirPath = profile.tasksDirPath();
+          await mkdirpAsync(tasksDirPath);
+          // create task files
+          const taskContent = `
+            "use strict";
+
+            module.exports = async ({ browser, screenshot }) => {
+              const page = await browser.newPage();
+              await screenshot(page);
+            };
+          `;
+          await writeFileAsync(path.resolve(tasksDirPath, "a.js"), taskContent, "utf8");
+          await writeFileAsync(path.resolve(tasksDirPath, "b.js"), taskContent, "utf8");
+          const screenshotsDirPath = profile.screenshotsDirPath();
+          await mkdirpAsync(screenshotsDirPath);
+          await writeFileAsync(path.resolve(screenshotsDirPath, "b.png"), "nyancat");
+          await writeFileAsync(path.resolve(screenshotsDirPath, "old.png"), "nyancat");
+          await writeFileAsync(path.resolve(screenshotsDirPath, "logo.png"), "nyancat");
+          // the previous run has written old.png, while logo.png is not a screenshot
+          await writeManifest(profile, [{
+            captures: ["a.png", "b.png", "old.png"].map(file => ({ file })),
+          }]);
+          // check
+          const browser = await puppeteer.launch();
+          const logger = createRecordingLogger();
+          const runner = createRunner({ profile, browser, logger });
+          const summary = await runner.run([], { prune: true });
+          expect(summary.changes).toEqual({
+            new      : ["a.png"],
+            changed  : ["b.png"],
+            unchanged: [],
+            stale    : ["old.png"],
+          });
+          expect(logger.messages).toContainEqual([
+            "info",
+            "Screenshots: 1 new, 1 changed, 0 unchanged, 1 stale",
+          ]);
+          expect(await exists(path.resolve(screenshotsDirPath, "old.png"))).toBe(false);
+          expect(await exists(path.resolve(screenshotsDirPath, "logo.png"))).toBe(true);
+          await writeFileAsync(path.resolve(screenshotsDirPath, "old.png"), "nyancat");
+          await writeManifest(profile, [{
+            captures: ["a.png", "b.png", "old.png"].map(file => ({ file })),
+          }]);
+          const filtered = await runner.run(["a.js"], { prune: true });
+          expect(filtered.changes).toEqual({
+            new      : [],
+            changed  : [],
+            unchanged: ["a.png"],
+            stale    : null,
+          });
+          expect(await exists(path.resolve(screenshotsDirPath, "old.png"))).toBe(true);
+        }, { unsafeCleanup: true });
+      });
+    });
+  });
+});
@@ -0,0 +1,222 @@
+"use strict";
+
+const {
+  formatPath,
+  validateConfigData,
+  locateJson5Paths,
+  findLine,
+  formatProblem,
+} = require("../schema");
+
+describe("schema", () => {
+  describe("formatPath()", () => {
+    it("should format a path to a value", () => {
+      expect(formatPath([])).toBe("");
+      expect(formatPath(["profiles", "foo", "viewports", 0, "name"]))
+        .toBe("profiles.foo.viewports[0].name");
+      expect(formatPath(["profiles", "foo", "page", "extraHTTPHeaders", "Accept-Language"]))
+        .toBe("profiles.foo.page.extraHTTPHeaders[\"Accept-Language\"]");
+    });
+  });
+
+  describe("validateConfigData()", () => {
+    it("should return no problems for a valid configuration", () => {
+      expect(validateConfigData({
+        profiles: {
+          foo: {
+            hooks    : { beforeAll: "hooks/before.js" },
+            threshold: 0.1,
+            retries  : 2,
+            isolate  : true,
+            launch   : { headless: true, nyancat: true },
+            viewports: ["iPhone X", { name: "desktop", width: 1280, height: 720 }],
+            page     : { userAgent: "nyancat" },
+            data     : { anything: "goes" },
+          },
+          foo_bar: { extends: "foo" },
+        },
+      })).toEqual([]);
+    });
+
+    it("should report all the errors at once", () => {
+      const problems = validateConfigData({
+        profiles: {
+          foo: {
+            threshold: 2,
+            hooks    : { beforeAll: 42 },
+            viewports: [{ name: "desktop" }],
+          },
+          bar: {
+            retries: -1,
+            extends: "baz",
+          },
+        },
+      });
+      expect(problems.map(problem => [problem.severity, problem.path, problem.message])).toEqual([
+        ["error", "profiles.foo.threshold", "threshold must be a number between 0 and 1"],
+        ["error", "profiles.foo.hooks.beforeAll", "hook 'beforeAll' must be a file path"],
+        ["error", "profiles.foo.viewports[0]", "viewport must have device or width and height"],
+        ["error", "profiles.bar.retries", "retries must be a non-negative integer"],
+        ["error", "profiles.bar.extends", "extended profile 'baz' is not configured"],
+      ]);
+    });
+
+    it("should warn about unknown keys with suggestions", () => {
+      const problems = validateConfigData({
+        profile : {},
+        profiles: {
+          foo: {
+            hook : {},
+            hooks: { beforall: "hooks/before.js" },
+            page : { nyancat: true },
+          },
+        },
+      });
+      expect(problems.map(problem => [problem.severity, problem.path, problem.message])).toEqual([
+        ["warning", "profile", "unknown key 'profile'; did you mean 'profiles'?"],
+        ["warning", "profiles.foo.hook", "unknown key 'hook'; did you mean 'hooks'?"],
+        [
+          "warning",
+          "profiles.foo.hooks.beforall",
+          "unknown key 'beforall'; did you mean 'beforeAll'?",
+        ],
+        ["warning", "profiles.foo.page.nyancat", "unknown key 'nyancat'"],
+      ]);
+    });
+
+    it("should report unknown placeholders in the screenshot path template", () => {
+      const problems = validateConfigData({
+        profiles: {
+          foo: {
+            screenshotsDir: "screenshots/{task}",
+            screenshotPath: "{task}/{nyancat}.{ext}",
+          },
+        },
+      });
+      expect(problems.map(problem => [problem.severity, problem.path])).toEqual([
+        ["error", "profiles.foo.screenshotsDir"],
+        ["error", "profiles.foo.screenshotPath"],
+      ]);
+    });
+
+    it("should warn if the screenshot path template lacks {viewport} with viewports", () => {
+      const problems = validateConfigData({
+        profiles: {
+          foo: {
+            viewports     : ["iPhone X"],
+            screenshotPath: "{task}-{name}.{ext}",
+          },
+          bar: {
+            viewports     : ["iPhone X"],
+            screenshotPath: "{viewport}/{task}-{name}.{ext}",
+          },
+          baz: {
+            screenshotPath: "{task}-{name}.{ext}",
+          },
+        },
+      });
+      expect(problems.map(problem => [problem.severity, problem.path, problem.message])).toEqual([
+        [
+          "warning",
+          "profiles.foo.screenshotPath",
+          "screenshotPath should contain '{viewport}' since viewports are configured",
+        ],
+      ]);
+    });
+
+    it("should report cookies without url or domain", () => {
+      const problems = validateConfigData({
+        profiles: {
+          foo: {
+            page: {
+              cookies: [
+                { name: "session", value: "foo", domain: "example.com" },
+                { name: "session", value: "foo" },
+              ],
+            },
+          },
+        },
+      });
+      expect(problems).toEqual([expect.objectContaining({
+        severity: "error",
+        path    : "profiles.foo.page.cookies",
+        message : expect.stringMatching(/url or domain/),
+      })]);
+    });
+
+    it("should report duplicate viewport names", () => {
+      const problems = validateConfigData({
+        profiles: {
+          foo: {
+            viewports: ["iPhone X", { name: "iPhoneX", width: 375, height: 812 }],
+          },
+        },
+      });
+      expect(problems).toEqual([expect.objectContaining({
+        severity: "error",
+        path    : "profiles.foo.viewports[1]",
+        message : "duplicate viewport name 'iPhoneX'",
+      })]);
+    });
+
+    it("should report an error if the configuration is not an object", () => {
+      expect(validateConfigData(42)).toEqual([expect.objectContaining({ severity: "error" })]);
+      expect(validateConfigData({ profiles: [] }))
+        .toEqual([expect.objectContaining({ severity: "error", path: "profiles" })]);
+    });
+  });
+
+  describe("locateJson5Paths()", () => {
+    it("should map paths to line numbers", () => {
+      const content = [
+        "// configuration",
+        "{",
+        "  profiles: {",
+        "    /* the main profile */",
+        "    \"foo\": {",
+        "      hooks: { beforeAll: 'hooks/before.js' },",
+        "      viewports: [",
+        "        \"iPhone X\",",
+        "        { name: \"desktop\", width: 1280, height: 720 },",
+        "      ],",
+        "      page: { extraHTTPHeaders: { \"Accept-Language\": \"ja\" } },",
+        "    },",
+        "  },",
+        "}",
+      ].join("\n");
+      const lines = locateJson5Paths(content);
+      expect(lines.get("profiles")).toBe(3);
+      expect(lines.get("profiles.foo")).toBe(5);
+      expect(lines.get("profiles.foo.hooks.beforeAll")).toBe(6);
+      expect(lines.get("profiles.foo.viewports[0]")).toBe(8);
+      expect(lines.get("profiles.foo.viewports[1].width")).toBe(9);
+      expect(lines.get("profiles.foo.page.extraHTTPHeaders[\"Accept-Language\"]")).toBe(11);
+    });
+  });
+
+  describe("findLine()", () => {
+    it("should fall back to the line of the nearest ancestor", () => {
+      const lines = new Map([["profiles", 2], ["profiles.foo", 3]]);
+      expect(findLine(lines, ["profiles", "foo", "hooks"])).toBe(3);
+      expect(findLine(lines, ["nyancat"])).toBe(undefined);
+    });
+  });
+
+  describe("formatProblem()", () => {
+    it("should format a problem with its location", () => {
+      expect(formatProblem("/path/to/archerfish.json5", {
+        severity: "error",
+        path    : "profiles.foo.retries",
+        line    : 4,
+        message : "retries must be a non-negative integer",
+      })).toBe(
+        "/path/to/archerfish.json5:4: profiles.foo.retries: retries must be a non-negative integer"
+      );
+      expect(formatProblem("/path/to/archerfish.json5", {
+        severity: "error",
+        path    : "",
+        message : "configuration must be an object",
+      })).toBe("/path/to/archerfish.json5: configuration must be an object");
+    });
+  });
+});
@@ -1,11 +1,30 @@
 "use strict";
 
+const fs = require("fs");
+const glob = require("glob");
 const path = require("path");
 const puppeteer = require("puppeteer"); // mocked
 const tmp = require("tmp-promise");
+const util = require("util");
 
 const { Profile } = require("../config");
-const { generateScreenshotFun } = require("../screenshot");
+const { getPlaceholders, expandTemplate, generateScreenshotFun } = require("../screenshot");
+
+const globAsync = util.promisify(glob);
+const readFileAsync = util.promisify(fs.readFile);
+const statAsync = util.promisify(fs.stat);
+const utimesAsync = util.promisify(fs.utimes);
+const writeFileAsync = util.promisify(fs.writeFile);
+
+/**
+ * Lists the paths of the files in a directory, sorted.
+ * @param {string} dirPath
+ * @returns {Promise<string[]>}
+ */
+async function listFiles(dirPath) {
+  const fileNames = await globAsync("**/*", { cwd: dirPath, nodir: true });
+  return fileNames.map(fileName => path.resolve(dirPath, fileName)).sort();
+}
 
 describe("screenshot", () => {
   describe("generateScreenshotFun()", () => {
@@ -21,12 +40,336 @@ describe("screenshot", () => {
         await screenshot(page, null, { type: "jpeg" });
         await screenshot(page, "hello/world/!");
         const screenshotsDirPath = path.resolve(dir.path, "screenshots/foo");
-        expect(browser.screenshots).toEqual([
+        expect(await listFiles(screenshotsDirPath)).toEqual([
           "test.png",
           "test-nyancat.png",
           "test-1.jpg",
           "test-helloworld.png",
-        ].map(fileName => path.resolve(screenshotsDirPath, fileName)));
+        ].map(fileName => path.resolve(screenshotsDirPath, fileName)).sort());
+      }, { unsafeCleanup: true });
+    });
+
+    it("should add the viewport name to the file paths", async () => {
+      await tmp.withDir(async dir => {
+        const profile = new Profile("foo", dir.path, {});
+        const taskFilePath = path.resolve(dir.path, "tasks/foo/test.js");
+        const screenshot = generateScreenshotFun(profile, taskFilePath, {
+          viewport: "desktop",
+        });
+        const browser = await puppeteer.launch();
+        const page = await browser.newPage();
+        await screenshot(page);
+        await screenshot(page, "nyancat");
+        await screenshot(page, null, { type: "jpeg" });
+        const screenshotsDirPath = path.resolve(dir.path, "screenshots/foo");
+        expect(await listFiles(screenshotsDirPath)).toEqual([
+          "test@desktop.png",
+          "test-nyancat@desktop.png",
+          "test-1@desktop.jpg",
+        ].map(fileName => path.resolve(screenshotsDirPath, fileName)).sort());
+      }, { unsafeCleanup: true });
+    });
+
+    it("should call onWrite with the path of each written screenshot", async () => {
+      await tmp.withDir(async dir => {
+        const profile = new Profile("foo", dir.path, {});
+        const taskFilePath = path.resolve(dir.path, "tasks/foo/test.js");
+        const filePaths = [];
+        const screenshot = generateScreenshotFun(profile, taskFilePath, {
+          onWrite: filePath => {
+            filePaths.push(filePath);
+          },
+        });
+        const browser = await puppeteer.launch();
+        const page = await browser.newPage();
+        await screenshot(page);
+        expect(filePaths).toEqual([path.resolve(dir.path, "screenshots/foo/test.png")]);
+      }, { unsafeCleanup: true });
+    });
+
+    it("should pass the metadata of each written screenshot to onWrite", async () => {
+      await tmp.withDir(async dir => {
+        const profile = new Profile("foo", dir.path, {});
+        const taskFilePath = path.resolve(dir.path, "tasks/foo/sub/test.js");
+        const entries = [];
+        const screenshot = generateScreenshotFun(profile, taskFilePath, {
+          viewport: "desktop",
+          onWrite : (filePath, metadata) => {
+            entries.push(metadata);
+          },
+        });
+        const browser = await puppeteer.launch();
+        const page = await browser.newPage();
+        await page.setViewport({ width: 1280, height: 720, isMobile: false });
+        await page.goto("https://example.com/");
+        await screenshot(page, "nyancat");
+        expect(entries).toEqual([{
+          file             : "sub/test-nyancat@desktop.png",
+          taskFile         : "sub/test.js",
+          name             : "nyancat",
+          url              : "https://example.com/",
+          viewport         : "desktop",
+          pageViewport     : { width: 1280, height: 720, isMobile: false },
+          deviceScaleFactor: null,
+          selector         : null,
+          capturedAt       : expect.stringMatching(/^\d{4}-\d{2}-\d{2}T/),
+          width            : 2,
+          height           : 2,
+          hash             : expect.stringMatching(/^sha256:[0-9a-f]{64}$/),
+          change           : "new",
+        }]);
+        expect(browser.evaluations).toEqual([["getDevicePixelRatio"]]);
+      }, { unsafeCleanup: true });
+    });
+
+    it("should not rewrite a screenshot whose content is unchanged", async () => {
+      await tmp.withDir(async dir => {
+        const profile = new Profile("foo", dir.path, {});
+        const taskFilePath = path.resolve(dir.path, "tasks/foo/test.js");
+        const changes = [];
+        const onWrite = (filePath, metadata) => {
+          changes.push(metadata.change);
+        };
+        const browser = await puppeteer.launch();
+        const page = await browser.newPage();
+        const filePath = path.resolve(dir.path, "screenshots/foo/test.png");
+        await generateScreenshotFun(profile, taskFilePath, { onWrite })(page);
+        const mtime = new Date(2000, 0, 1);
+        await utimesAsync(filePath, mtime, mtime);
+        await generateScreenshotFun(profile, taskFilePath, { onWrite })(page);
+        expect((await statAsync(filePath)).mtime).toEqual(mtime);
+        await writeFileAsync(filePath, "nyancat");
+        await generateScreenshotFun(profile, taskFilePath, { onWrite })(page);
+        expect((await statAsync(filePath)).size).toBeGreaterThan("nyancat".length);
+        expect(changes).toEqual(["new", "unchanged", "changed"]);
+      }, { unsafeCleanup: true });
+    });
+
+    it("should ignore the path option", async () => {
+      await tmp.withDir(async dir => {
+        const profile = new Profile("foo", dir.path, {});
+        const taskFilePath = path.resolve(dir.path, "tasks/foo/test.js");
+        const browser = await puppeteer.launch();
+        const page = await browser.newPage();
+        const otherFilePath = path.resolve(dir.path, "elsewhere.png");
+        await generateScreenshotFun(profile, taskFilePath)(page, null, { path: otherFilePath });
+        expect(browser.screenshots).toEqual([undefined]);
+        expect(await listFiles(dir.path)).toEqual([
+          path.resolve(dir.path, "screenshots/foo/test.png"),
+        ]);
+      }, { unsafeCleanup: true });
+    });
+
+    it("should ignore the encoding option", async () => {
+      await tmp.withDir(async dir => {
+        const profile = new Profile("foo", dir.path, {});
+        const taskFilePath = path.resolve(dir.path, "tasks/foo/test.js");
+        const entries = [];
+        const screenshot = generateScreenshotFun(profile, taskFilePath, {
+          onWrite: (filePath, metadata) => {
+            entries.push(metadata);
+          },
+        });
+        const browser = await puppeteer.launch();
+        const page = await browser.newPage();
+        await screenshot(page, null, { encoding: "base64" });
+        const content = await readFileAsync(path.resolve(dir.path, "screenshots/foo/test.png"));
+        expect(content.readUInt32BE(0)).toBe(0x89504E47);
+        expect(entries[0].width).toBe(2);
+      }, { unsafeCleanup: true });
+    });
+
+    it("should take a screenshot of the element matching the selector option", async () => {
+      await tmp.withDir(async dir => {
+        const profile = new Profile("foo", dir.path, {});
+        const taskFilePath = path.resolve(dir.path, "tasks/foo/test.js");
+        const entries = [];
+        const screenshot = generateScreenshotFun(profile, taskFilePath, {
+          onWrite: (filePath, metadata) => {
+            entries.push(metadata);
+          },
+        });
+        const browser = await puppeteer.launch();
+        const page = await browser.newPage();
+        await page.setViewport({ width: 1280, height: 720 });
+        page.elements.push("#main");
+        await screenshot(page, null, { selector: "#main" });
+        expect(await listFiles(path.resolve(dir.path, "screenshots/foo"))).toEqual([
+          path.resolve(dir.path, "screenshots/foo/test.png"),
+        ]);
+        expect(entries[0].selector).toBe("#main");
+        // the viewport is read from the page even if an element is captured
+        expect(entries[0].pageViewport).toEqual({ width: 1280, height: 720 });
+        await expect(
+          screenshot(page, null, { selector: "#missing" })
+        ).rejects.toThrowError("no element matches selector '#missing'");
+      }, { unsafeCleanup: true });
+    });
+
+    it("should lay out screenshots by the screenshotPath template", async () => {
+      await tmp.withDir(async dir => {
+        const profile = new Profile("foo", dir.path, {
+          screenshotsDir: "docs/assets/{profile}",
+          screenshotPath: "{viewport}/{taskDir}/{taskName}.{index}.{name}.{ext}",
+        });
+        const taskFilePath = path.resolve(dir.path, "tasks/foo/pages/top.js");
+        const screenshot = generateScreenshotFun(profile, taskFilePath, {
+          viewport: "desktop",
+        });
+        const browser = await puppeteer.launch();
+        const page = await browser.newPage();
+        await screenshot(page);
+        await screenshot(page, "Hello, World!", { type: "jpeg" });
+        await screenshot(page, "a/b");
+        const screenshotsDirPath = path.resolve(dir.path, "docs/assets/foo");
+        expect(await listFiles(screenshotsDirPath)).toEqual([
+          "desktop/pages/top.0.0.png",
+          "desktop/pages/top.1.Hello, World!.jpg",
+          "desktop/pages/top.2.a_b.png",
+        ].map(fileName => path.resolve(screenshotsDirPath, fileName)).sort());
+      }, { unsafeCleanup: true });
+    });
+
+    it("should expand {profile}, {task} and {date} in the screenshotPath template", async () => {
+      await tmp.withDir(async dir => {
+        const profile = new Profile("foo_bar", dir.path, {
+          screenshotPath: "{date}/{task}-{profile}.{ext}",
+        });
+        const taskFilePath = path.resolve(dir.path, "tasks/foo/pages/top.js");
+        const screenshot = generateScreenshotFun(profile, taskFilePath);
+        const browser = await puppeteer.launch();
+        const page = await browser.newPage();
+        await screenshot(page);
+        const screenshotsDirPath = path.resolve(dir.path, "screenshots/foo_bar");
+        const filePaths = await listFiles(screenshotsDirPath);
+        const relPath = path.relative(screenshotsDirPath, filePaths[0]);
+        expect(relPath).toMatch(/^\d{4}-\d{2}-\d{2}[/\\]pages[/\\]top-foo_bar\.png$/);
+      }, { unsafeCleanup: true });
+    });
+
+    it("should remove empty segments left by empty placeholders", async () => {
+      await tmp.withDir(async dir => {
+        const profile = new Profile("docs", dir.path, {
+          screenshotsDir: "site/assets/{profile}",
+          screenshotPath: "{taskDir}/{viewport}/{taskName}-{name}.{ext}",
+        });
+        const taskFilePath = path.resolve(dir.path, "tasks/docs/top.js");
+        const screenshot = generateScreenshotFun(profile, taskFilePath, {
+          viewport: "desktop",
+        });
+        const browser = await puppeteer.launch();
+        const page = await browser.newPage();
+        await screenshot(page, "header");
+        const screenshotsDirPath = path.resolve(dir.path, "site/assets/docs");
+        expect(await listFiles(screenshotsDirPath)).toEqual([
+          path.resolve(screenshotsDirPath, "desktop/top-header.png"),
+        ]);
+      }, { unsafeCleanup: true });
+    });
+
+    it("should throw Error if a screenshot path is outside the screenshots directory", async () => {
+      await tmp.withDir(async dir => {
+        const profile = new Profile("foo", dir.path, {
+          screenshotPath: "../{name}.{ext}",
+        });
+        const taskFilePath = path.resolve(dir.path, "tasks/foo/test.js");
+        const screenshot = generateScreenshotFun(profile, taskFilePath);
+        const browser = await puppeteer.launch();
+        const page = await browser.newPage();
+        await expect(screenshot(page)).rejects.toThrowError(/outside the screenshots directory/);
+      }, { unsafeCleanup: true });
+    });
+
+    it("should hide and mask elements only while taking a screenshot", async () => {
+      await tmp.withDir(async dir => {
+        const profile = new Profile("foo", dir.path, {
+          screenshot: {
+            hide: [".ad"],
+          },
+        });
+        const taskFilePath = path.resolve(dir.path, "tasks/foo/test.js");
+        const screenshot = generateScreenshotFun(profile, taskFilePath);
+        const browser = await puppeteer.launch();
+        const page = await browser.newPage();
+        const calls = [];
+        const evaluate = page.evaluate.bind(page);
+        page.evaluate = async (fn, ...args) => {
+          calls.push(fn.name);
+          return evaluate(fn, ...args);
+        };
+        const takeScreenshot = page.screenshot.bind(page);
+        page.screenshot = async opts => {
+          calls.push(Object.keys(opts).sort());
+          return takeScreenshot(opts);
+        };
+        await screenshot(page, null, { mask: [".timestamp"], fullPage: true });
+        expect(calls).toEqual(["applyInPage", ["fullPage", "type"], "revertInPage"]);
+        expect(browser.evaluations[0].slice(3, 5)).toEqual([[".ad"], [".timestamp"]]);
+      }, { unsafeCleanup: true });
+    });
+
+    it("should wait for the page to become stable with animations disabled", async () => {
+      await tmp.withDir(async dir => {
+        const profile = new Profile("foo", dir.path, {
+          screenshot: {
+            stable: { idleTime: 10 },
+          },
+        });
+        const taskFilePath = path.resolve(dir.path, "tasks/foo/test.js");
+        const screenshot = generateScreenshotFun(profile, taskFilePath);
+        const browser = await puppeteer.launch();
+        const page = await browser.newPage();
+        await screenshot(page);
+        await screenshot(page, "unstable", { stable: false });
+        expect(browser.evaluations.map(([fnName]) => fnName)).toEqual([
+          "applyInPage",
+          "waitInPage",
+          "revertInPage",
+        ]);
+        expect(browser.evaluations[0][6]).toMatch(/animation: none !important;/);
+        expect(browser.screenshots).toHaveLength(2);
+      }, { unsafeCleanup: true });
+    });
+
+    it("should place the masks after the page has become stable", async () => {
+      await tmp.withDir(async dir => {
+        const profile = new Profile("foo", dir.path, {});
+        const taskFilePath = path.resolve(dir.path, "tasks/foo/test.js");
+        const screenshot = generateScreenshotFun(profile, taskFilePath);
+        const browser = await puppeteer.launch();
+        const page = await browser.newPage();
+        await screenshot(page, null, { mask: [".timestamp"], stable: { idleTime: 0 } });
+        expect(browser.evaluations.map(([fnName]) => fnName)).toEqual([
+          "applyInPage",
+          "waitInPage",
+          "applyInPage",
+          "revertInPage",
+          "revertInPage",
+        ]);
+        const [stabilizing, , masking, firstRevert, secondRevert] = browser.evaluations;
+        expect(stabilizing[6]).toMatch(/animation: none !important;/);
+        expect(masking[4]).toEqual([".timestamp"]);
+        // reverted in the reverse order
+        expect(firstRevert[2]).toBe(masking[2]);
+        expect(secondRevert[2]).toBe(stabilizing[2]);
+      }, { unsafeCleanup: true });
+    });
+
+    it("should revert the masks even if taking a screenshot has failed", async () => {
+      await tmp.withDir(async dir => {
+        const profile = new Profile("foo", dir.path, {});
+        const taskFilePath = path.resolve(dir.path, "tasks/foo/test.js");
+        const screenshot = generateScreenshotFun(profile, taskFilePath);
+        const browser = await puppeteer.launch();
+        const page = await browser.newPage();
+        page.screenshot = async () => {
+          throw new Error("nyancat");
+        };
+        await expect(screenshot(page, null, { hide: [".ad"] })).rejects.toThrowError("nyancat");
+        expect(browser.evaluations.map(([fnName]) => fnName)).toEqual([
+          "applyInPage",
+          "revertInPage",
+        ]);
       }, { unsafeCleanup: true });
     });
 
@@ -43,4 +386,18 @@ describe("screenshot", () => {
       }, { unsafeCleanup: true });
     });
   });
+
+  describe("getPlaceholders()", () => {
+    it("should return the placeholders in a template", () => {
+      expect(getPlaceholders("{task}/{name}.{ext}")).toEqual(["task", "name", "ext"]);
+      expect(getPlaceholders("screenshots")).toEqual([]);
+    });
+  });
+
+  describe("expandTemplate()", () => {
+    it("should replace known placeholders with values", () => {
+      expect(expandTemplate("{task}-{nyancat}.{ext}", { task: "top", ext: "png" }))
+        .toBe("top-{nyancat}.png");
+    });
+  });
 });
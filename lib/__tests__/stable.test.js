@@ -0,0 +1,66 @@
+"use strict";
+
+const puppeteer = require("puppeteer"); // mocked
+
+const { resolveStableOptions, waitForStable } = require("../stable");
+
+describe("stable", () => {
+  describe("resolveStableOptions()", () => {
+    it("should resolve the stabilization options", () => {
+      expect(resolveStableOptions(undefined, undefined)).toBe(undefined);
+      expect(resolveStableOptions(true, false)).toBe(undefined);
+      expect(resolveStableOptions(undefined, true)).toEqual({
+        timeout : 10000,
+        idleTime: 500,
+        frames  : 3,
+      });
+      expect(resolveStableOptions({ frames: 5 }, undefined)).toEqual({
+        timeout : 10000,
+        idleTime: 500,
+        frames  : 5,
+      });
+    });
+
+    it("should throw TypeError if the option is invalid", () => {
+      expect(() => resolveStableOptions(undefined, "yes")).toThrow(TypeError);
+      expect(() => resolveStableOptions(undefined, { frames: -1 })).toThrow(TypeError);
+      expect(() => resolveStableOptions(undefined, { nyancat: 1 })).toThrow(TypeError);
+    });
+  });
+
+  describe("waitForStable()", () => {
+    it("should wait for the network to be idle and the page to be stable", async () => {
+      const browser = await puppeteer.launch();
+      const page = await browser.newPage();
+      let done = false;
+      const promise = waitForStable(page, { timeout: 1000, idleTime: 20, frames: 3 }).then(() => {
+        done = true;
+      });
+      const req = {};
+      page.emit("request", req);
+      await new Promise(resolve => setTimeout(resolve, 50));
+      expect(done).toBe(false);
+      page.emit("requestfinished", req);
+      await promise;
+      expect(browser.evaluations).toEqual([["waitInPage", 3, expect.any(Number)]]);
+      expect(page.listenerCount("request")).toBe(0);
+    });
+
+    it("should fail if the network does not become idle within the timeout", async () => {
+      const browser = await puppeteer.launch();
+      const page = await browser.newPage();
+      const promise = waitForStable(page, { timeout: 50, idleTime: 20, frames: 3 });
+      page.emit("request", {});
+      await expect(promise).rejects.toThrowError(/network did not become idle within 50 ms/);
+    });
+
+    it("should fail if the page does not become stable within the timeout", async () => {
+      const browser = await puppeteer.launch();
+      const page = await browser.newPage();
+      page.evaluate = async () => false;
+      await expect(
+        waitForStable(page, { timeout: 50, idleTime: 0, frames: 3 })
+      ).rejects.toThrowError(/page did not become stable within 50 ms/);
+    });
+  });
+});
@@ -8,7 +8,17 @@ const tmp = require("tmp-promise");
 const util = require("util");
 
 const { Profile } = require("../config");
-const { findTasks, runTasks, hookKeys, runHook } = require("../tasks");
+const {
+  findTasks,
+  createJobs,
+  runTasks,
+  taskStatuses,
+  TaskTimeoutError,
+  summarizeResults,
+  getTaskLabel,
+  hookKeys,
+  runHook,
+} = require("../tasks");
 
 const mkdirAsync = util.promisify(fs.mkdir);
 const mkdirpAsync = util.promisify(mkdirp);
@@ -92,6 +102,28 @@ describe("tasks", () => {
     });
   });
 
+  describe("createJobs()", () => {
+    it("should create a job for each pair of a task and a viewport", () => {
+      const profile = new Profile("foo", "/path/to/project", {
+        viewports: [{ name: "desktop", width: 1280, height: 720 }, "iPhone X"],
+      });
+      const jobs = createJobs(profile, ["/a.js", "/b.js"]);
+      expect(jobs.map(job => [job.taskFilePath, job.viewport.name])).toEqual([
+        ["/a.js", "desktop"],
+        ["/a.js", "iPhoneX"],
+        ["/b.js", "desktop"],
+        ["/b.js", "iPhoneX"],
+      ]);
+    });
+
+    it("should create a job without a viewport if no viewports are configured", () => {
+      const profile = new Profile("foo", "/path/to/project", {});
+      expect(createJobs(profile, ["/a.js"])).toEqual([
+        { taskFilePath: "/a.js", viewport: undefined },
+      ]);
+    });
+  });
+
   describe("runTasks()", () => {
     it("should run specified tasks", async () => {
       await tmp.withDir(async dir => {
@@ -187,7 +219,9 @@ describe("tasks", () => {
           },
         });
         expect(browser.args.profile).toBe(profile);
-        expect(browser.args.browser).toBe(browser);
+        // a browser scoped to the task, which delegates to the original one
+        expect(browser.args.browser.tasks).toBe(browser.tasks);
+        expect(browser.args.newPage).toBeInstanceOf(Function);
         expect(browser.args.getLogger).toBeInstanceOf(Function);
         expect(browser.args.sleep).toBeInstanceOf(Function);
         expect(browser.args.screenshot).toBeInstanceOf(Function);
@@ -230,6 +264,730 @@ describe("tasks", () => {
         );
       }, { unsafeCleanup: true });
     });
+
+    it("should return the results of the tasks", async () => {
+      await tmp.withDir(async dir => {
+        const profile = new Profile("foo", dir.path, {});
+        // prepare tasks directory
+        const tasksDirPath = profile.tasksDirPath();
+        await mkdirpAsync(tasksDirPath);
+        // create task files
+        const taskFilePaths = [
+          "success.js",
+          "failure.js",
+        ].map(fileName => path.resolve(tasksDirPath, fileName));
+        const taskContent = `
+          "use strict";
+
+          const path = require("path");
+
+          module.exports = async ({ browser, screenshot }) => {
+            const page = await browser.newPage();
+            await screenshot(page);
+            await screenshot(page, "nyancat");
+            if (path.basename(__filename) === "failure.js") {
+              throw new Error("nyancat");
+            }
+          };
+        `;
+        for (const taskFilePath of taskFilePaths) {
+          await writeFileAsync(taskFilePath, taskContent, "utf8");
+        }
+        // check
+        const browser = await puppeteer.launch();
+        const results = await runTasks(profile, browser, taskFilePaths, {
+          maxConcurrency: 2,
+        });
+        expect(results).toHaveLength(2);
+        expect(results[0]).toEqual({
+          taskFilePath: taskFilePaths[0],
+          taskFileName: "success.js",
+          status      : taskStatuses.passed,
+          error       : undefined,
+          duration    : expect.any(Number),
+          attempts    : 1,
+          screenshots : [
+            path.resolve(profile.screenshotsDirPath(), "success.png"),
+            path.resolve(profile.screenshotsDirPath(), "success-nyancat.png"),
+          ],
+          captures: [
+            expect.objectContaining({ file: "success.png", taskFile: "success.js", name: null }),
+            expect.objectContaining({ file: "success-nyancat.png", name: "nyancat" }),
+          ],
+          pdfs: [],
+        });
+        expect(results[1]).toEqual({
+          taskFilePath: taskFilePaths[1],
+          taskFileName: "failure.js",
+          status      : taskStatuses.failed,
+          error       : expect.any(Error),
+          duration    : expect.any(Number),
+          attempts    : 1,
+          screenshots : [
+            path.resolve(profile.screenshotsDirPath(), "failure.png"),
+            path.resolve(profile.screenshotsDirPath(), "failure-nyancat.png"),
+          ],
+          captures: [
+            expect.objectContaining({ file: "failure.png", taskFile: "failure.js", name: null }),
+            expect.objectContaining({ file: "failure-nyancat.png", name: "nyancat" }),
+          ],
+          pdfs: [],
+        });
+        expect(results[1].error.message).toBe("nyancat");
+      }, { unsafeCleanup: true });
+    });
+
+    it("should run each task once per viewport", async () => {
+      await tmp.withDir(async dir => {
+        const profile = new Profile("foo", dir.path, {
+          viewports: [
+            { name: "desktop", width: 1280, height: 720 },
+            "iPhone X",
+          ],
+        });
+        // prepare tasks directory
+        const tasksDirPath = profile.tasksDirPath();
+        await mkdirpAsync(tasksDirPath);
+        // create task files
+        const taskFilePaths = [
+          "a.js",
+          "b.js",
+        ].map(fileName => path.resolve(tasksDirPath, fileName));
+        const taskContent = `
+          "use strict";
+
+          const path = require("path");
+
+          module.exports = async ({ browser, screenshot, viewport }) => {
+            browser.tasks.push(path.basename(__filename) + "@" + viewport.name);
+            const page = await browser.newPage();
+            await screenshot(page);
+          };
+        `;
+        for (const taskFilePath of taskFilePaths) {
+          await writeFileAsync(taskFilePath, taskContent, "utf8");
+        }
+        // check
+        const browser = await puppeteer.launch();
+        const results = await runTasks(profile, browser, taskFilePaths, {});
+        // tasks are run in order if not concurrent
+        expect(browser.tasks).toEqual([
+          "a.js@desktop",
+          "a.js@iPhoneX",
+          "b.js@desktop",
+          "b.js@iPhoneX",
+        ]);
+        expect(browser.allPages.map(page => page.viewport().width).sort()).toEqual([
+          1280,
+          1280,
+          375,
+          375,
+        ]);
+        expect(results.map(result => [result.taskFileName, result.viewport])).toEqual([
+          ["a.js", "desktop"],
+          ["a.js", "iPhoneX"],
+          ["b.js", "desktop"],
+          ["b.js", "iPhoneX"],
+        ]);
+        expect(results[1].screenshots).toEqual([
+          path.resolve(profile.screenshotsDirPath(), "a@iPhoneX.png"),
+        ]);
+      }, { unsafeCleanup: true });
+    });
+
+    it("should stop running tasks after the first failure if 'bail' is enabled", async () => {
+      await tmp.withDir(async dir => {
+        const profile = new Profile("foo", dir.path, {});
+        // prepare tasks directory
+        const tasksDirPath = profile.tasksDirPath();
+        await mkdirpAsync(tasksDirPath);
+        // create task files
+        const taskFilePaths = [
+          "a.js",
+          "b.js",
+          "c.js",
+        ].map(fileName => path.resolve(tasksDirPath, fileName));
+        const taskContent = `
+          "use strict";
+
+          const path = require("path");
+
+          module.exports = async ({ browser }) => {
+            browser.tasks.push(path.basename(__filename));
+            throw new Error("nyancat");
+          };
+        `;
+        for (const taskFilePath of taskFilePaths) {
+          await writeFileAsync(taskFilePath, taskContent, "utf8");
+        }
+        // check
+        const browser = await puppeteer.launch();
+        const results = await runTasks(profile, browser, taskFilePaths, {
+          bail: true,
+        });
+        expect(browser.tasks).toHaveLength(1);
+        expect(results.map(result => result.status).sort()).toEqual([
+          taskStatuses.failed,
+          taskStatuses.skipped,
+          taskStatuses.skipped,
+        ]);
+      }, { unsafeCleanup: true });
+    });
+
+    it("should retry failed tasks", async () => {
+      await tmp.withDir(async dir => {
+        const profile = new Profile("foo", dir.path, {
+          retries   : 2,
+          retryDelay: 0,
+        });
+        // prepare tasks directory
+        const tasksDirPath = profile.tasksDirPath();
+        await mkdirpAsync(tasksDirPath);
+        // create task files
+        const flakyContent = `
+          "use strict";
+
+          let count = 0;
+
+          module.exports = async ({ browser }) => {
+            browser.tasks.push("flaky.js");
+            count += 1;
+            if (count < 2) {
+              throw new Error("nyancat");
+            }
+          };
+        `;
+        const brokenContent = `
+          "use strict";
+
+          module.exports = async ({ browser }) => {
+            browser.tasks.push("broken.js");
+            throw new Error("nyancat");
+          };
+        `;
+        const flakyFilePath = path.resolve(tasksDirPath, "flaky.js");
+        const brokenFilePath = path.resolve(tasksDirPath, "broken.js");
+        await writeFileAsync(flakyFilePath, flakyContent, "utf8");
+        await writeFileAsync(brokenFilePath, brokenContent, "utf8");
+        // check
+        const browser = await puppeteer.launch();
+        const results = await runTasks(profile, browser, [flakyFilePath, brokenFilePath], {});
+        expect(browser.tasks.sort()).toEqual([
+          "broken.js",
+          "broken.js",
+          "broken.js",
+          "flaky.js",
+          "flaky.js",
+        ]);
+        expect(results[0].status).toBe(taskStatuses.passed);
+        expect(results[0].attempts).toBe(2);
+        expect(results[1].status).toBe(taskStatuses.failed);
+        expect(results[1].attempts).toBe(3);
+      }, { unsafeCleanup: true });
+    });
+
+    it("should override the number of retries by the option", async () => {
+      await tmp.withDir(async dir => {
+        const profile = new Profile("foo", dir.path, {
+          retries   : 2,
+          retryDelay: 0,
+        });
+        // prepare tasks directory
+        const tasksDirPath = profile.tasksDirPath();
+        await mkdirpAsync(tasksDirPath);
+        // create task file
+        const taskContent = `
+          "use strict";
+
+          module.exports = async ({ browser }) => {
+            browser.tasks.push("broken.js");
+            throw new Error("nyancat");
+          };
+        `;
+        const taskFilePath = path.resolve(tasksDirPath, "broken.js");
+        await writeFileAsync(taskFilePath, taskContent, "utf8");
+        // check
+        const browser = await puppeteer.launch();
+        const results = await runTasks(profile, browser, [taskFilePath], {
+          retries: 0,
+        });
+        expect(browser.tasks).toEqual(["broken.js"]);
+        expect(results[0].attempts).toBe(1);
+      }, { unsafeCleanup: true });
+    });
+
+    it("should fail tasks that take longer than the timeout", async () => {
+      await tmp.withDir(async dir => {
+        const profile = new Profile("foo", dir.path, {
+          taskTimeout: 100,
+        });
+        // prepare tasks directory
+        const tasksDirPath = profile.tasksDirPath();
+        await mkdirpAsync(tasksDirPath);
+        // create task files
+        const hangingContent = `
+          "use strict";
+
+          module.exports = async ({ browser }) => {
+            await browser.newPage();
+            await new Promise(() => {});
+          };
+        `;
+        const quickContent = `
+          "use strict";
+
+          module.exports = async ({ browser }) => {
+            browser.tasks.push("quick.js");
+          };
+        `;
+        const hangingFilePath = path.resolve(tasksDirPath, "hanging.js");
+        const quickFilePath = path.resolve(tasksDirPath, "quick.js");
+        await writeFileAsync(hangingFilePath, hangingContent, "utf8");
+        await writeFileAsync(quickFilePath, quickContent, "utf8");
+        // check
+        const browser = await puppeteer.launch();
+        const results = await runTasks(profile, browser, [quickFilePath, hangingFilePath], {});
+        expect(results[0].status).toBe(taskStatuses.passed);
+        expect(results[1].status).toBe(taskStatuses.failed);
+        expect(results[1].error).toBeInstanceOf(TaskTimeoutError);
+        expect(results[1].error.message).toMatch(/timed out after 100 ms/);
+        expect(browser.tasks).toEqual(["quick.js"]);
+        // the page opened by the timed out task is closed
+        expect(browser.allPages).toHaveLength(1);
+        expect(browser.allPages[0].isClosed()).toBe(true);
+      }, { unsafeCleanup: true });
+    });
+
+    it("should ignore screenshots written by timed out attempts", async () => {
+      await tmp.withDir(async dir => {
+        const profile = new Profile("foo", dir.path, {
+          taskTimeout: 100,
+          retries    : 1,
+          retryDelay : 0,
+        });
+        // prepare tasks directory
+        const tasksDirPath = profile.tasksDirPath();
+        await mkdirpAsync(tasksDirPath);
+        // create task file
+        const taskContent = `
+          "use strict";
+
+          let count = 0;
+
+          module.exports = async ({ browser, screenshot, pdf }) => {
+            count += 1;
+            const page = await browser.newPage();
+            if (count === 1) {
+              // keeps running after timed out
+              await new Promise(resolve => setTimeout(resolve, 200));
+              await screenshot(page, "zombie");
+              await pdf(page, "zombie");
+              return;
+            }
+            await screenshot(page, "retry");
+          };
+        `;
+        const taskFilePath = path.resolve(tasksDirPath, "test.js");
+        await writeFileAsync(taskFilePath, taskContent, "utf8");
+        // check
+        const browser = await puppeteer.launch();
+        const results = await runTasks(profile, browser, [taskFilePath], {});
+        await new Promise(resolve => setTimeout(resolve, 300));
+        expect(results[0].status).toBe(taskStatuses.passed);
+        expect(results[0].attempts).toBe(2);
+        expect(results[0].screenshots).toEqual([
+          path.resolve(profile.screenshotsDirPath(), "test-retry.png"),
+        ]);
+        expect(results[0].captures.map(capture => capture.file)).toEqual(["test-retry.png"]);
+        expect(results[0].pdfs).toEqual([]);
+      }, { unsafeCleanup: true });
+    });
+
+    it("should prefer the timeout exported from the task", async () => {
+      await tmp.withDir(async dir => {
+        const profile = new Profile("foo", dir.path, {
+          taskTimeout: 10000,
+        });
+        // prepare tasks directory
+        const tasksDirPath = profile.tasksDirPath();
+        await mkdirpAsync(tasksDirPath);
+        // create task file
+        const taskContent = `
+          "use strict";
+
+          module.exports = async () => {
+            await new Promise(() => {});
+          };
+          module.exports.timeout = 100;
+        `;
+        const taskFilePath = path.resolve(tasksDirPath, "hanging.js");
+        await writeFileAsync(taskFilePath, taskContent, "utf8");
+        // check
+        const browser = await puppeteer.launch();
+        const results = await runTasks(profile, browser, [taskFilePath], {
+          taskTimeout: 20000,
+        });
+        expect(results[0].error).toBeInstanceOf(TaskTimeoutError);
+        expect(results[0].error.message).toMatch(/timed out after 100 ms/);
+      }, { unsafeCleanup: true });
+    });
+
+    it("should override the timeout of the profile by the option", async () => {
+      await tmp.withDir(async dir => {
+        const profile = new Profile("foo", dir.path, {
+          taskTimeout: 10000,
+        });
+        // prepare tasks directory
+        const tasksDirPath = profile.tasksDirPath();
+        await mkdirpAsync(tasksDirPath);
+        // create task file
+        const taskContent = `
+          "use strict";
+
+          module.exports = async () => {
+            await new Promise(() => {});
+          };
+        `;
+        const taskFilePath = path.resolve(tasksDirPath, "hanging.js");
+        await writeFileAsync(taskFilePath, taskContent, "utf8");
+        // check
+        const browser = await puppeteer.launch();
+        const results = await runTasks(profile, browser, [taskFilePath], {
+          taskTimeout: 100,
+        });
+        expect(results[0].error).toBeInstanceOf(TaskTimeoutError);
+        expect(results[0].error.message).toMatch(/timed out after 100 ms/);
+      }, { unsafeCleanup: true });
+    });
+
+    it("should save PDFs with the PDF options of the profile", async () => {
+      await tmp.withDir(async dir => {
+        const profile = new Profile("foo", dir.path, {
+          pdf: {
+            format         : "A4",
+            margin         : { top: "1cm", bottom: "1cm" },
+            printBackground: true,
+          },
+        });
+        // prepare tasks directory
+        const tasksDirPath = profile.tasksDirPath();
+        await mkdirpAsync(tasksDirPath);
+        // create task file
+        const taskFilePath = path.resolve(tasksDirPath, "print.js");
+        const taskContent = `
+          "use strict";
+
+          module.exports = async ({ newPage, pdf }) => {
+            const page = await newPage();
+            await pdf(page);
+            await pdf(page, "letter", { format: "Letter" });
+          };
+        `;
+        await writeFileAsync(taskFilePath, taskContent, "utf8");
+        // check
+        const browser = await puppeteer.launch();
+        const events = [];
+        const results = await runTasks(profile, browser, [taskFilePath], {
+          emit: (event, data) => {
+            events.push([event, data.filePath]);
+          },
+        });
+        const pdfFilePaths = [
+          path.resolve(profile.screenshotsDirPath(), "print.pdf"),
+          path.resolve(profile.screenshotsDirPath(), "print-letter.pdf"),
+        ];
+        expect(results[0].status).toBe(taskStatuses.passed);
+        expect(results[0].pdfs).toEqual(pdfFilePaths);
+        expect(results[0].screenshots).toEqual([]);
+        expect(events.filter(([event]) => event === "pdf")).toEqual(
+          pdfFilePaths.map(filePath => ["pdf", filePath])
+        );
+        expect(browser.pdfs).toEqual([
+          {
+            format         : "A4",
+            margin         : { top: "1cm", bottom: "1cm" },
+            printBackground: true,
+            path           : pdfFilePaths[0],
+          },
+          {
+            format         : "Letter",
+            margin         : { top: "1cm", bottom: "1cm" },
+            printBackground: true,
+            path           : pdfFilePaths[1],
+          },
+        ]);
+      }, { unsafeCleanup: true });
+    });
+
+    it("should close pages opened by newPage() when the task ends", async () => {
+      await tmp.withDir(async dir => {
+        const profile = new Profile("foo", dir.path, {
+          page: {
+            userAgent: "nyancat",
+          },
+        });
+        // prepare tasks directory
+        const tasksDirPath = profile.tasksDirPath();
+        await mkdirpAsync(tasksDirPath);
+        // create task files
+        const taskContent = `
+          "use strict";
+
+          const path = require("path");
+
+          module.exports = async ({ browser, newPage }) => {
+            const page = await newPage();
+            browser.tasks.push(page.userAgent + ":" + page.isClosed());
+            if (path.basename(__filename) === "fail.js") {
+              throw new Error("nyancat");
+            }
+          };
+        `;
+        const taskFilePaths = [
+          "pass.js",
+          "fail.js",
+        ].map(fileName => path.resolve(tasksDirPath, fileName));
+        for (const taskFilePath of taskFilePaths) {
+          await writeFileAsync(taskFilePath, taskContent, "utf8");
+        }
+        // check
+        const browser = await puppeteer.launch();
+        const results = await runTasks(profile, browser, taskFilePaths, {});
+        expect(browser.tasks).toEqual(["nyancat:false", "nyancat:false"]);
+        expect(browser.allPages).toHaveLength(2);
+        expect(browser.allPages.every(page => page.isClosed())).toBe(true);
+        expect(results.map(result => result.status)).toEqual([
+          taskStatuses.passed,
+          taskStatuses.failed,
+        ]);
+      }, { unsafeCleanup: true });
+    });
+
+    it("should run each task in its own browser context if 'isolate' is enabled", async () => {
+      await tmp.withDir(async dir => {
+        const profile = new Profile("foo", dir.path, {
+          isolate: true,
+        });
+        // prepare tasks directory
+        const tasksDirPath = profile.tasksDirPath();
+        await mkdirpAsync(tasksDirPath);
+        // create task files
+        const taskContent = `
+          "use strict";
+
+          module.exports = async ({ browser, newPage }) => {
+            await browser.newPage();
+            await newPage();
+            browser.browser().tasks.push((await browser.pages()).length);
+          };
+        `;
+        const taskFilePaths = [
+          "a.js",
+          "b.js",
+        ].map(fileName => path.resolve(tasksDirPath, fileName));
+        for (const taskFilePath of taskFilePaths) {
+          await writeFileAsync(taskFilePath, taskContent, "utf8");
+        }
+        const sharedTaskContent = `
+          "use strict";
+
+          module.exports = async ({ browser }) => {
+            browser.tasks.push(browser.contexts.length);
+          };
+
+          module.exports.isolate = false;
+        `;
+        const sharedTaskFilePath = path.resolve(tasksDirPath, "shared.js");
+        await writeFileAsync(sharedTaskFilePath, sharedTaskContent, "utf8");
+        // check
+        const browser = await puppeteer.launch();
+        const results = await runTasks(profile, browser, taskFilePaths, {
+          maxConcurrency: 2,
+        });
+        expect(results.map(result => result.status)).toEqual([
+          taskStatuses.passed,
+          taskStatuses.passed,
+        ]);
+        // each context only has the pages of the task
+        expect(browser.tasks).toEqual([2, 2]);
+        expect(browser.contexts).toHaveLength(2);
+        expect(browser.contexts.every(context => context.closed)).toBe(true);
+        expect(browser.allPages.every(page => page.isClosed())).toBe(true);
+        // the task export takes precedence
+        await runTasks(profile, browser, [sharedTaskFilePath], {});
+        expect(browser.tasks).toEqual([2, 2, 2]);
+        expect(browser.contexts).toHaveLength(2);
+      }, { unsafeCleanup: true });
+    });
+
+    it("should run beforeEach and afterEach hooks around every task", async () => {
+      await tmp.withDir(async dir => {
+        const profile = new Profile("foo", dir.path, {
+          hooks: {
+            beforeEach: "beforeEach.js",
+            afterEach : "afterEach.js",
+          },
+        });
+        // prepare tasks directory
+        const tasksDirPath = profile.tasksDirPath();
+        await mkdirpAsync(tasksDirPath);
+        // create task files
+        const taskContent = `
+          "use strict";
+
+          const path = require("path");
+
+          module.exports = async ({ browser, name, page }) => {
+            browser.tasks.push(path.basename(__filename) + ":" + name + ":" + page.isClosed());
+            if (path.basename(__filename) === "fail.js") {
+              throw new Error("nyancat");
+            }
+          };
+        `;
+        const taskFilePaths = [
+          "pass.js",
+          "fail.js",
+        ].map(fileName => path.resolve(tasksDirPath, fileName));
+        for (const taskFilePath of taskFilePaths) {
+          await writeFileAsync(taskFilePath, taskContent, "utf8");
+        }
+        // create hook scripts
+        const beforeEachContent = `
+          "use strict";
+
+          module.exports = async ({ browser, taskFileName, registeredArgs, register }) => {
+            browser.hooks.push("beforeEach:" + taskFileName + ":" + registeredArgs.name);
+            register("page", await browser.newPage());
+          };
+        `;
+        await writeFileAsync(path.resolve(dir.path, "beforeEach.js"), beforeEachContent, "utf8");
+        const afterEachContent = `
+          "use strict";
+
+          module.exports = async ({ browser, taskFileName, registeredArgs, error }) => {
+            browser.hooks.push("afterEach:" + taskFileName + ":" + (error ? error.message : ""));
+            await registeredArgs.page.close();
+          };
+        `;
+        await writeFileAsync(path.resolve(dir.path, "afterEach.js"), afterEachContent, "utf8");
+        // check
+        const browser = await puppeteer.launch();
+        const results = await runTasks(profile, browser, taskFilePaths, {
+          registeredArgs: { name: "nyancat" },
+        });
+        expect(browser.tasks.sort()).toEqual([
+          "fail.js:nyancat:false",
+          "pass.js:nyancat:false",
+        ]);
+        expect(browser.hooks.sort()).toEqual([
+          "afterEach:fail.js:nyancat",
+          "afterEach:pass.js:",
+          "beforeEach:fail.js:nyancat",
+          "beforeEach:pass.js:nyancat",
+        ]);
+        expect(browser.allPages.every(page => page.isClosed())).toBe(true);
+        expect(results.map(result => result.status)).toEqual([
+          taskStatuses.passed,
+          taskStatuses.failed,
+        ]);
+      }, { unsafeCleanup: true });
+    });
+
+    it("should fail tasks if the beforeEach or afterEach hook has failed", async () => {
+      await tmp.withDir(async dir => {
+        const profile = new Profile("foo", dir.path, {
+          hooks: {
+            beforeEach: "beforeEach.js",
+            afterEach : "afterEach.js",
+          },
+        });
+        // prepare tasks directory
+        const tasksDirPath = profile.tasksDirPath();
+        await mkdirpAsync(tasksDirPath);
+        // create task files
+        const taskContent = `
+          "use strict";
+
+          const path = require("path");
+
+          module.exports = async ({ browser }) => {
+            browser.tasks.push(path.basename(__filename));
+          };
+        `;
+        const taskFilePaths = [
+          "before.js",
+          "after.js",
+        ].map(fileName => path.resolve(tasksDirPath, fileName));
+        for (const taskFilePath of taskFilePaths) {
+          await writeFileAsync(taskFilePath, taskContent, "utf8");
+        }
+        // create hook scripts
+        const hookContent = `
+          "use strict";
+
+          const path = require("path");
+
+          module.exports = async ({ browser, taskFileName }) => {
+            const hookName = path.basename(__filename, ".js");
+            browser.hooks.push(hookName + ":" + taskFileName);
+            if (hookName === path.basename(taskFileName, ".js") + "Each") {
+              throw new Error(hookName);
+            }
+          };
+        `;
+        for (const fileName of ["beforeEach.js", "afterEach.js"]) {
+          await writeFileAsync(path.resolve(dir.path, fileName), hookContent, "utf8");
+        }
+        // check
+        const browser = await puppeteer.launch();
+        const results = await runTasks(profile, browser, taskFilePaths, {});
+        expect(browser.tasks).toEqual(["after.js"]);
+        expect(browser.hooks.sort()).toEqual([
+          "afterEach:after.js",
+          "afterEach:before.js",
+          "beforeEach:after.js",
+          "beforeEach:before.js",
+        ]);
+        expect(results[0].status).toBe(taskStatuses.failed);
+        expect(results[0].error.message).toBe("beforeEach");
+        expect(results[1].status).toBe(taskStatuses.failed);
+        expect(results[1].error.message).toBe("afterEach");
+      }, { unsafeCleanup: true });
+    });
+  });
+
+  describe("getTaskLabel()", () => {
+    it("should return a label of a task run", () => {
+      expect(getTaskLabel("pages/main.js", undefined)).toBe("pages/main.js");
+      expect(getTaskLabel("pages/main.js", "desktop")).toBe("pages/main.js @ desktop");
+    });
+  });
+
+  describe("summarizeResults()", () => {
+    it("should count the results by status", () => {
+      const results = [
+        [taskStatuses.passed, 1],
+        [taskStatuses.passed, 2],
+        [taskStatuses.failed, 3],
+        [taskStatuses.skipped, 0],
+      ].map(([status, attempts], i) => ({
+        taskFilePath: `/path/to/project/tasks/foo/${i}.js`,
+        taskFileName: `${i}.js`,
+        status      : status,
+        error       : undefined,
+        duration    : 0,
+        attempts    : attempts,
+        screenshots : [],
+        pdfs        : i === 0 ? ["/path/to/project/screenshots/foo/0.pdf"] : [],
+      }));
+      expect(summarizeResults(results)).toEqual({
+        passed : 2,
+        failed : 1,
+        skipped: 1,
+        retried: 1,
+        pdfs   : 1,
+      });
+    });
   });
 
   describe("runHook()", () => {
@@ -0,0 +1,104 @@
+"use strict";
+
+const fs = require("fs");
+const mkdirp = require("mkdirp");
+const path = require("path");
+const tmp = require("tmp-promise");
+const util = require("util");
+
+const { Config } = require("../config");
+const { createWatcher, listDirs, getChangedTasks } = require("../watch");
+
+const mkdirpAsync = util.promisify(mkdirp);
+const writeFileAsync = util.promisify(fs.writeFile);
+
+describe("watch", () => {
+  describe("createWatcher()", () => {
+    it("should call the callback with the paths of changed files", async () => {
+      await tmp.withDir(async dir => {
+        const calls = [];
+        const watcher = createWatcher(filePaths => {
+          calls.push(filePaths);
+        }, { delay: 50 });
+        try {
+          watcher.watchDirs([dir.path]);
+          await writeFileAsync(path.resolve(dir.path, "a.js"), "", "utf8");
+          await writeFileAsync(path.resolve(dir.path, "b.js"), "", "utf8");
+          const startTime = Date.now();
+          while (calls.length === 0 && Date.now() - startTime < 5000) {
+            await new Promise(resolve => setTimeout(resolve, 50));
+          }
+        } finally {
+          watcher.close();
+        }
+        expect(calls).toHaveLength(1);
+        expect(calls[0].sort()).toEqual([
+          path.resolve(dir.path, "a.js"),
+          path.resolve(dir.path, "b.js"),
+        ]);
+      }, { unsafeCleanup: true });
+    });
+  });
+
+  describe("listDirs()", () => {
+    it("should list a directory and all its subdirectories", async () => {
+      await tmp.withDir(async dir => {
+        await mkdirpAsync(path.resolve(dir.path, "foo/bar"));
+        await mkdirpAsync(path.resolve(dir.path, "baz"));
+        await writeFileAsync(path.resolve(dir.path, "foo/a.js"), "", "utf8");
+        const dirPaths = await listDirs(dir.path);
+        expect(dirPaths.sort()).toEqual([
+          dir.path,
+          path.resolve(dir.path, "baz"),
+          path.resolve(dir.path, "foo"),
+          path.resolve(dir.path, "foo/bar"),
+        ]);
+      }, { unsafeCleanup: true });
+    });
+  });
+
+  describe("getChangedTasks()", () => {
+    const config = new Config("/path/to/project/archerfish.json5", {
+      profiles: {
+        foo: {
+          hooks: {
+            beforeAll: "hooks/beforeAll.js",
+          },
+        },
+      },
+    });
+    const profile = config.getProfile("foo");
+    const taskFilePaths = [
+      "/path/to/project/tasks/foo/a.js",
+      "/path/to/project/tasks/foo/b.js",
+    ];
+
+    it("should return the changed tasks", () => {
+      expect(getChangedTasks(config, profile, taskFilePaths, [
+        "/path/to/project/tasks/foo/a.js",
+        "/path/to/project/tasks/foo/.a.js.swp",
+        "/path/to/project/screenshots/foo/a.png",
+      ])).toEqual([
+        "/path/to/project/tasks/foo/a.js",
+      ]);
+      expect(getChangedTasks(config, profile, taskFilePaths, [
+        "/path/to/project/README.md",
+      ])).toEqual([]);
+    });
+
+    it("should return null if all tasks should be re-run", () => {
+      expect(getChangedTasks(config, profile, taskFilePaths, [
+        "/path/to/project/archerfish.json5",
+      ])).toBe(null);
+      expect(getChangedTasks(config, profile, taskFilePaths, [
+        "/path/to/project/.env",
+      ])).toBe(null);
+      expect(getChangedTasks(config, profile, taskFilePaths, [
+        "/path/to/project/hooks/beforeAll.js",
+      ])).toBe(null);
+      expect(getChangedTasks(config, profile, taskFilePaths, [
+        "/path/to/project/tasks/foo/helpers/login.js",
+      ])).toBe(null);
+    });
+  });
+});
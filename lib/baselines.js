@@ -0,0 +1,119 @@
+"use strict";
+
+const fs = require("fs");
+const glob = require("glob");
+const mkdirp = require("mkdirp");
+const path = require("path");
+const util = require("util");
+
+const { clearDiffDir, compareDirs } = require("./compare");
+const { getLogger } = require("./logger");
+
+const copyFileAsync = util.promisify(fs.copyFile);
+const globAsync = util.promisify(glob);
+const mkdirpAsync = util.promisify(mkdirp);
+const unlinkAsync = util.promisify(fs.unlink);
+
+/**
+ * Warns that JPEG screenshots are not compared, since only PNG images can be compared pixel by
+ * pixel.
+ * @param {Profile} profile
+ * @param {Object} logger
+ * @returns {Promise<void>}
+ */
+async function warnJpegScreenshots(profile, logger) {
+  const fileNames = await globAsync("**/*.jpg", {
+    cwd  : profile.screenshotsDirPath(),
+    nodir: true,
+  });
+  if (fileNames.length > 0) {
+    logger.warn([
+      "JPEG screenshots are not compared against baselines:",
+      ...fileNames.sort().map(fileName => `  ${fileName}`),
+    ].join("\n"));
+  }
+}
+
+/**
+ * Promotes the current screenshots of the profile to its baselines.
+ * The baselines directory mirrors the screenshots directory, i.e. baselines without a corresponding
+ * screenshot (e.g. of a renamed screenshot) are removed.
+ * @param {Profile} profile
+ * @returns {Promise<string[]>} The relative paths of the approved screenshots.
+ */
+async function approveScreenshots(profile) {
+  const logger = getLogger("cli");
+  await warnJpegScreenshots(profile, logger);
+  const fileNames = await globAsync("**/*.png", {
+    cwd  : profile.screenshotsDirPath(),
+    nodir: true,
+  });
+  if (fileNames.length === 0) {
+    throw new Error("no screenshots found");
+  }
+  for (const fileName of fileNames) {
+    const destFilePath = path.resolve(profile.baselinesDirPath(), fileName);
+    await mkdirpAsync(path.dirname(destFilePath));
+    await copyFileAsync(path.resolve(profile.screenshotsDirPath(), fileName), destFilePath);
+    logger.trace(`Approved screenshot: ${fileName}`);
+  }
+  const approved = new Set(fileNames.map(fileName => path.normalize(fileName)));
+  const baselineFileNames = await globAsync("**/*.png", {
+    cwd  : profile.baselinesDirPath(),
+    nodir: true,
+  });
+  for (const fileName of baselineFileNames) {
+    if (!approved.has(path.normalize(fileName))) {
+      await unlinkAsync(path.resolve(profile.baselinesDirPath(), fileName));
+      logger.trace(`Removed baseline: ${fileName}`);
+    }
+  }
+  logger.info(`Approved ${fileNames.length} screenshot(s) as baselines.`);
+  return fileNames;
+}
+
+/**
+ * Compares the current screenshots of the profile against its baselines.
+ * Diff images are written to the diffs directory of the profile, after removing the ones written by
+ * previous checks. The check fails if a screenshot differs from its baseline, or a baseline has no
+ * corresponding screenshot.
+ * @param {Profile} profile
+ * @param {Object} [logger]
+ * @returns {Promise<Object>} The result of `compareDirs()`, plus `passed: boolean`.
+ */
+async function checkScreenshots(profile, logger = getLogger("cli")) {
+  logger.trace("Comparing screenshots against baselines...");
+  await clearDiffDir(profile.diffsDirPath());
+  await warnJpegScreenshots(profile, logger);
+  const result = await compareDirs(
+    profile.screenshotsDirPath(),
+    profile.baselinesDirPath(),
+    profile.diffsDirPath(),
+    { threshold: profile.threshold }
+  );
+  for (const fileName of result.onlyInA) {
+    logger.warn(`No baseline for screenshot: ${fileName}`);
+  }
+  for (const fileName of result.onlyInB) {
+    logger.error(`Missing screenshot for baseline: ${fileName}`);
+  }
+  for (const entry of result.differing) {
+    const percentage = (entry.diffRatio * 100).toFixed(2);
+    if (entry.sizeMismatch) {
+      logger.error(`Screenshot differs from baseline: ${entry.fileName} (size mismatch)`);
+    } else {
+      logger.error(`Screenshot differs from baseline: ${entry.fileName} (${percentage}%)`);
+    }
+  }
+  logger.info(
+    `${result.matching.length} screenshot(s) matched, ${result.differing.length} differed,`
+    + ` ${result.onlyInB.length} missing (threshold = ${profile.threshold})`
+  );
+  const passed = result.differing.length === 0 && result.onlyInB.length === 0;
+  return Object.assign({ passed }, result);
+}
+
+module.exports = {
+  approveScreenshots,
+  checkScreenshots,
+};
@@ -0,0 +1,183 @@
+"use strict";
+
+const puppeteer = require("puppeteer");
+
+/**
+ * Resolves options passed to `puppeteer.launch()`.
+ * Overrides given on the command line take precedence over the launch options of the profile.
+ * @param {Profile} profile
+ * @param {Object} overrides - `{ headful?: boolean, chromeArgs?: string[], executablePath?: string,
+ * slowMo?: number }`
+ * @returns {Object}
+ */
+function resolveLaunchOptions(profile, overrides) {
+  const opts = Object.assign({}, profile.launch);
+  if (overrides.headful) {
+    opts.headless = false;
+  }
+  if (overrides.chromeArgs !== undefined && overrides.chromeArgs.length > 0) {
+    opts.args = (opts.args || []).concat(overrides.chromeArgs);
+  }
+  if (overrides.executablePath !== undefined) {
+    opts.executablePath = overrides.executablePath;
+  }
+  if (overrides.slowMo !== undefined) {
+    opts.slowMo = overrides.slowMo;
+  }
+  return opts;
+}
+
+/**
+ * Resolves a viewport of a profile into the viewport and the user agent emulated by pages.
+ * @param {Object} entry - An element of `Profile#viewports`.
+ * @returns {Object} `{ name: string, viewport: Object, userAgent?: string }`
+ */
+function resolveViewport(entry) {
+  let base = {
+    viewport : {},
+    userAgent: undefined,
+  };
+  if (entry.device !== undefined) {
+    const devices = puppeteer.devices;
+    if (!Object.prototype.hasOwnProperty.call(devices, entry.device)) {
+      throw new Error(`unknown device '${entry.device}' for viewport '${entry.name}'`);
+    }
+    base = devices[entry.device];
+  }
+  return {
+    name     : entry.name,
+    viewport : Object.assign({}, base.viewport, entry.viewport),
+    userAgent: entry.userAgent !== undefined ? entry.userAgent : base.userAgent,
+  };
+}
+
+/**
+ * Creates a browser scoped to a task, which keeps track of the pages opened by the task.
+ * The scoped browser delegates everything to the original browser (or browser context).
+ * @param {Browser|BrowserContext} browser
+ * @param {Object} [opts] - `{ viewport?: Object, page?: Object }`, where `viewport` is a resolved
+ * viewport that new pages emulate, and `page` is the page options of the profile.
+ * @returns {Object} An object containing `browser` (the scoped browser), `pages` (the pages opened
+ * so far), `closePages()` (closes the pages that are still open), `newPage()` (opens a page with
+ * the page options applied) and `closeManagedPages()` (closes the pages opened by `newPage()`).
+ */
+function createTaskBrowser(browser, opts = {}) {
+  const pages = [];
+  const managedPages = [];
+  const pageOpts = resolvePageOptions(opts.page || {}, opts.viewport);
+  const newPage = async (...args) => {
+    const page = await browser.newPage(...args);
+    pages.push(page);
+    if (opts.viewport !== undefined) {
+      await page.setViewport(opts.viewport.viewport);
+      if (opts.viewport.userAgent !== undefined) {
+        await page.setUserAgent(opts.viewport.userAgent);
+      }
+    }
+    return page;
+  };
+  const newManagedPage = async () => {
+    const page = await newPage();
+    managedPages.push(page);
+    await applyPageOptions(page, pageOpts);
+    return page;
+  };
+  const scopedBrowser = new Proxy(browser, {
+    get(target, key) {
+      if (key === "newPage") {
+        return newPage;
+      }
+      const value = target[key];
+      return typeof value === "function" ? value.bind(target) : value;
+    },
+  });
+  return {
+    browser          : scopedBrowser,
+    pages            : pages,
+    closePages       : () => closePages(pages),
+    newPage          : newManagedPage,
+    closeManagedPages: () => closePages(managedPages),
+  };
+}
+
+/**
+ * Resolves the page options applied to pages opened by a task.
+ * The viewport and the user agent of a resolved viewport take precedence over the page options.
+ * @param {Object} pageOpts - The page options of the profile.
+ * @param {Object} [viewport] - A resolved viewport.
+ * @returns {Object}
+ */
+function resolvePageOptions(pageOpts, viewport) {
+  const opts = Object.assign({}, pageOpts);
+  if (viewport !== undefined) {
+    delete opts.viewport;
+    if (viewport.userAgent !== undefined) {
+      delete opts.userAgent;
+    }
+  }
+  return opts;
+}
+
+/**
+ * Applies page options to a page.
+ * @param {Page} page
+ * @param {Object} pageOpts - `{ viewport?: Object, userAgent?: string,
+ * extraHTTPHeaders?: Object, cookies?: Object[], defaultNavigationTimeout?: number }`
+ * @returns {Promise<void>}
+ */
+async function applyPageOptions(page, pageOpts) {
+  if (pageOpts.viewport !== undefined) {
+    await page.setViewport(pageOpts.viewport);
+  }
+  if (pageOpts.userAgent !== undefined) {
+    await page.setUserAgent(pageOpts.userAgent);
+  }
+  if (pageOpts.extraHTTPHeaders !== undefined) {
+    await page.setExtraHTTPHeaders(pageOpts.extraHTTPHeaders);
+  }
+  if (pageOpts.cookies !== undefined && pageOpts.cookies.length > 0) {
+    await page.setCookie(...pageOpts.cookies);
+  }
+  if (pageOpts.defaultNavigationTimeout !== undefined) {
+    page.setDefaultNavigationTimeout(pageOpts.defaultNavigationTimeout);
+  }
+}
+
+/**
+ * Closes pages that are not closed yet. Errors on closing are ignored.
+ * @param {Page[]} pages
+ * @returns {Promise<void>}
+ */
+async function closePages(pages) {
+  for (const page of pages) {
+    if (page.isClosed()) {
+      continue;
+    }
+    try {
+      await page.close();
+    } catch (err) {
+      // ignore; the page may have been closed concurrently
+    }
+  }
+}
+
+/**
+ * Closes a browser context. Errors on closing are ignored.
+ * @param {BrowserContext} context
+ * @returns {Promise<void>}
+ */
+async function closeContext(context) {
+  try {
+    await context.close();
+  } catch (err) {
+    // ignore; the browser may have been closed
+  }
+}
+
+module.exports = {
+  resolveLaunchOptions,
+  resolveViewport,
+  createTaskBrowser,
+  closePages,
+  closeContext,
+};
@@ -0,0 +1,186 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const util = require("util");
+
+const { hashContent, readManifest } = require("./manifest");
+const { getLogger } = require("./logger");
+
+const readFileAsync = util.promisify(fs.readFile);
+const statAsync = util.promisify(fs.stat);
+const unlinkAsync = util.promisify(fs.unlink);
+const writeFileAsync = util.promisify(fs.writeFile);
+
+/**
+ * @type {Object}
+ */
+const changeStatuses = Object.freeze({
+  new      : "new",
+  changed  : "changed",
+  unchanged: "unchanged",
+  stale    : "stale",
+});
+
+/**
+ * Writes a screenshot unless the file on disk has the same content, so that the modification time
+ * of an unchanged screenshot is kept.
+ * @param {string} filePath
+ * @param {Buffer} content
+ * @returns {Promise<string>} One of `changeStatuses` except `stale`.
+ */
+async function writeIfChanged(filePath, content) {
+  let current = undefined;
+  try {
+    current = await readFileAsync(filePath);
+  } catch (err) {
+    if (err.code !== "ENOENT") {
+      throw err;
+    }
+  }
+  if (current !== undefined && hashContent(current) === hashContent(content)) {
+    return changeStatuses.unchanged;
+  }
+  await writeFileAsync(filePath, content);
+  return current === undefined ? changeStatuses.new : changeStatuses.changed;
+}
+
+/**
+ * Finds screenshots listed in the manifest of the previous run that are not written in this run.
+ * Only the files the previous run has written are considered, so that other files in the
+ * screenshots directory (which may be shared) are never reported.
+ * @param {Profile} profile
+ * @param {Object[]} results - The results of the tasks.
+ * @returns {Promise<string[]>} The relative paths of the stale screenshots.
+ */
+async function findStaleScreenshots(profile, results) {
+  const manifest = await readManifest(profile);
+  if (manifest === null) {
+    return [];
+  }
+  const dirPath = profile.screenshotsDirPath();
+  const written = new Set();
+  for (const result of results) {
+    for (const filePath of result.screenshots) {
+      written.add(path.relative(dirPath, filePath));
+    }
+  }
+  const stale = new Set();
+  for (const entry of manifest.screenshots) {
+    if (typeof entry.file !== "string") {
+      continue;
+    }
+    const fileName = path.normalize(entry.file);
+    const outside = fileName === ".." || fileName.startsWith(".." + path.sep);
+    if (outside || path.isAbsolute(fileName) || written.has(fileName)) {
+      continue;
+    }
+    if (await exists(path.resolve(dirPath, fileName))) {
+      stale.add(fileName);
+    }
+  }
+  return Array.from(stale).sort();
+}
+
+/**
+ * @param {string} filePath
+ * @returns {Promise<boolean>}
+ */
+async function exists(filePath) {
+  try {
+    await statAsync(filePath);
+    return true;
+  } catch (err) {
+    if (err.code === "ENOENT") {
+      return false;
+    }
+    throw err;
+  }
+}
+
+/**
+ * Classifies the screenshots of a run by how they have changed from the files on disk.
+ * @param {Profile} profile
+ * @param {Object[]} results - The results of the tasks.
+ * @param {Object} [opts] - `{ stale?: boolean }`, where `stale` enables the detection of stale
+ * screenshots (see `findStaleScreenshots()`). It should be enabled only if all the tasks of the
+ * profile have run successfully; otherwise screenshots of the other tasks are considered stale.
+ * @returns {Promise<Object>} `{ new: string[], changed: string[], unchanged: string[],
+ * stale: string[] | null }`, where each list contains the paths relative to the screenshots
+ * directory, and `stale` is `null` if not detected.
+ */
+async function detectChanges(profile, results, opts = {}) {
+  const changes = {
+    new      : [],
+    changed  : [],
+    unchanged: [],
+    stale    : null,
+  };
+  for (const result of results) {
+    for (const capture of result.captures) {
+      changes[capture.change].push(capture.file);
+    }
+  }
+  if (opts.stale) {
+    changes.stale = (await findStaleScreenshots(profile, results))
+      .map(fileName => fileName.split(path.sep).join("/"));
+  }
+  return changes;
+}
+
+/**
+ * Logs changes of screenshots.
+ * @param {Object} changes - The result of `detectChanges()`.
+ * @param {Object} [logger]
+ * @returns {void}
+ */
+function logChanges(changes, logger = getLogger("cli")) {
+  const list = (title, fileNames) => [title, ...fileNames.map(fileName => `  ${fileName}`)]
+    .join("\n");
+  const counts = [
+    `${changes.new.length} new`,
+    `${changes.changed.length} changed`,
+    `${changes.unchanged.length} unchanged`,
+  ];
+  if (changes.stale !== null) {
+    counts.push(`${changes.stale.length} stale`);
+  }
+  logger.info(`Screenshots: ${counts.join(", ")}`);
+  if (changes.new.length > 0) {
+    logger.info(list("New screenshots:", changes.new));
+  }
+  if (changes.changed.length > 0) {
+    logger.info(list("Changed screenshots:", changes.changed));
+  }
+  if (changes.unchanged.length > 0) {
+    logger.trace(list("Unchanged screenshots:", changes.unchanged));
+  }
+  if (changes.stale !== null && changes.stale.length > 0) {
+    logger.warn(list("Stale screenshots (not written in this run):", changes.stale));
+  }
+}
+
+/**
+ * Deletes stale screenshots.
+ * @param {Profile} profile
+ * @param {string[]} fileNames - The paths of the stale screenshots relative to the screenshots
+ * directory.
+ * @param {Object} [logger]
+ * @returns {Promise<void>}
+ */
+async function pruneScreenshots(profile, fileNames, logger = getLogger("cli")) {
+  for (const fileName of fileNames) {
+    await unlinkAsync(path.resolve(profile.screenshotsDirPath(), fileName));
+    logger.trace(`Pruned screenshot: ${fileName}`);
+  }
+  logger.info(`Pruned ${fileNames.length} stale screenshot(s).`);
+}
+
+module.exports = {
+  changeStatuses,
+  writeIfChanged,
+  findStaleScreenshots,
+  detectChanges,
+  logChanges,
+  pruneScreenshots,
+};
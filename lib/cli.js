@@ -1,9 +1,32 @@
 "use strict";
 
+const path = require("path");
 const puppeteer = require("puppeteer");
 
-const { findTasks, runTasks, hookKeys, runHook } = require("./tasks");
-const { Profile, initConfig, loadConfig } = require("./config");
+const { findTasks, createJobs, summarizeResults, getTaskLabel } = require("./tasks");
+const {
+  Profile,
+  initConfig,
+  loadConfig,
+  validateConfig,
+  parseDataOverrides,
+} = require("./config");
+const { resolveLaunchOptions } = require("./browser");
+const { createRunner, runAll } = require("./runner");
+const { approveScreenshots } = require("./baselines");
+const { compareProfiles } = require("./compare");
+const { writeReport } = require("./report");
+const { writeManifest } = require("./manifest");
+const { severities, formatProblem } = require("./schema");
+const {
+  createWatcher,
+  listDirs,
+  getHookFilePaths,
+  getConfigFilePaths,
+  clearModuleCache,
+  getChangedTasks,
+} = require("./watch");
+const { deepMerge } = require("./utils");
 const { getLogger } = require("./logger");
 
 /**
@@ -20,28 +43,244 @@ async function init(cwd) {
  * @param {string} cwd - Path to the current working directory.
  * @param {string} profileName
  * @param {string[]} globs
- * @param {Object} opts - `{ maxConcurrency?: number }`
- * @returns {Promise<Browser>}
+ * @param {Object} opts - `{ maxConcurrency?: number, bail?: boolean, retries?: number,
+ * taskTimeout?: number, check?: boolean, report?: boolean, prune?: boolean, headful?: boolean,
+ * chromeArgs?: string[], executablePath?: string, slowMo?: number, data?: string[] }`, where
+ * `data` is a list of overrides of the profile data of the form `key.path=value`.
+ * @returns {Promise<Object>} A summary of the run. See `Runner#run()`.
  */
 async function run(cwd, profileName, globs, opts) {
+  Profile.assertNameValid(profileName);
+  const config = await loadConfig(cwd, opts);
+  let profile = config.getProfile(profileName);
+  if (opts.data !== undefined && opts.data.length > 0) {
+    profile = profile.withData(deepMerge(profile.data, parseDataOverrides(opts.data)));
+  }
+  const runner = createRunner({ profile });
+  return runner.run(globs, opts);
+}
+
+/**
+ * `list` subcommand.
+ * Resolves what `run` would do without launching the browser.
+ * @param {string} cwd - Path to the current working directory.
+ * @param {string} profileName
+ * @param {string[]} globs
+ * @param {Object} opts - `{ json?: boolean, data?: string[] }`. Unless `json` is set, the plan is
+ * also logged in a human-readable form.
+ * @returns {Promise<Object>} `{ profile: string, tasksDir: string, screenshotsDir: string,
+ * hooks: Object, tasks: Object[], data: * }`, where `hooks` maps hook keys to absolute paths, and
+ * each task contains `taskFilePath`, `taskFileName` and `viewport` (name), in execution order.
+ */
+async function list(cwd, profileName, globs, opts) {
+  const logger = getLogger("cli");
+  Profile.assertNameValid(profileName);
+  const config = await loadConfig(cwd, opts);
+  let profile = config.getProfile(profileName);
+  if (opts.data !== undefined && opts.data.length > 0) {
+    profile = profile.withData(deepMerge(profile.data, parseDataOverrides(opts.data)));
+  }
+  const taskFilePaths = await findTasks(profile, globs);
+  const hooks = {};
+  for (const key of Object.keys(profile.hooks)) {
+    hooks[key] = path.resolve(profile.rootDirPath(), profile.hooks[key]);
+  }
+  const tasks = createJobs(profile, taskFilePaths).map(job => ({
+    taskFilePath: job.taskFilePath,
+    taskFileName: path.relative(profile.tasksDirPath(), job.taskFilePath),
+    viewport    : job.viewport !== undefined ? job.viewport.name : undefined,
+  }));
+  const plan = {
+    profile       : profile.name,
+    tasksDir      : profile.tasksDirPath(),
+    screenshotsDir: profile.screenshotsDirPath(),
+    hooks         : hooks,
+    tasks         : tasks,
+    data          : profile.data,
+  };
+  if (!opts.json) {
+    logPlan(plan, logger);
+  }
+  return plan;
+}
+
+/**
+ * Logs a plan returned by `list()`.
+ * @param {Object} plan
+ * @param {Object} logger
+ * @returns {void}
+ */
+function logPlan(plan, logger) {
+  const hookLines = Object.keys(plan.hooks).map(key => `  ${key}: ${plan.hooks[key]}`);
+  const taskLines = plan.tasks.map(task => `  ${getTaskLabel(task.taskFileName, task.viewport)}`);
+  logger.info([
+    `Profile: ${plan.profile}`,
+    `Tasks directory: ${plan.tasksDir}`,
+    `Screenshots directory: ${plan.screenshotsDir}`,
+    `Hooks:${hookLines.length > 0 ? "\n" + hookLines.join("\n") : " (none)"}`,
+    `Tasks (${taskLines.length}):\n${taskLines.join("\n")}`,
+    `Data:\n${JSON.stringify(plan.data, null, 2)}`,
+  ].join("\n"));
+}
+
+/**
+ * `watch` subcommand.
+ * Runs tasks, then keeps the browser open and re-runs the tasks whose files have changed. All tasks
+ * are re-run if the configuration file, the `.env` file, a hook script or another module in the
+ * tasks directory has changed.
+ * @param {string} cwd - Path to the current working directory.
+ * @param {string} profileName
+ * @param {string[]} globs
+ * @param {Object} opts - `{ maxConcurrency?: number, retries?: number, taskTimeout?: number,
+ * report?: boolean, headful?: boolean, chromeArgs?: string[], executablePath?: string,
+ * slowMo?: number }`
+ * @returns {Promise<Object>} An object containing `close()`, which stops watching and closes the
+ * browser.
+ */
+async function watch(cwd, profileName, globs, opts) {
   const logger = getLogger("cli");
+  Profile.assertNameValid(profileName);
+  const initialConfig = await loadConfig(cwd, opts);
+  const initialProfile = initialConfig.getProfile(profileName);
+  logger.trace("Launching browser...");
+  const browser = await puppeteer.launch(resolveLaunchOptions(initialProfile, opts));
+  const state = {
+    config : initialConfig,
+    profile: initialProfile,
+    running: Promise.resolve(),
+    watcher: null,
+    // the latest result of each task run for each viewport, from which the manifest is written
+    results: new Map(),
+  };
+  const updateWatchedDirs = async profile => {
+    const hookDirPaths = getHookFilePaths(profile).map(hookFilePath => path.dirname(hookFilePath));
+    const taskDirPaths = await listDirs(profile.tasksDirPath());
+    state.watcher.watchDirs([profile.rootDirPath(), ...hookDirPaths, ...taskDirPaths]);
+  };
+  const runChanged = async changedFilePaths => {
+    try {
+      // hook scripts may be outside the root directory
+      clearModuleCache(state.config.rootDirPath(), [
+        state.config.filePath(),
+        ...getHookFilePaths(state.profile),
+      ]);
+      const configChanged = changedFilePaths !== undefined && getConfigFilePaths(state.config)
+        .some(filePath => changedFilePaths.includes(filePath));
+      if (configChanged) {
+        logger.info("Configuration changed; reloading...");
+        const config = await loadConfig(cwd, opts);
+        Object.assign(state, { config, profile: config.getProfile(profileName) });
+      }
+      const { config, profile } = state;
+      // directories are watched before finding tasks, so that tasks are run once they are created
+      // even if no task is found at first
+      await updateWatchedDirs(profile);
+      const taskFilePaths = await findTasks(profile, globs);
+      const changedTaskFilePaths = changedFilePaths !== undefined
+        ? getChangedTasks(config, profile, taskFilePaths, changedFilePaths)
+        : null;
+      if (changedTaskFilePaths !== null && changedTaskFilePaths.length === 0) {
+        return;
+      }
+      const results = await runAll(
+        profile,
+        browser,
+        changedTaskFilePaths !== null ? changedTaskFilePaths : taskFilePaths,
+        opts
+      );
+      for (const result of results) {
+        state.results.set(getTaskLabel(result.taskFilePath, result.viewport), result);
+      }
+      const latestResults = Array.from(state.results.values())
+        .filter(result => taskFilePaths.includes(result.taskFilePath));
+      await writeManifest(profile, latestResults);
+      if (opts.report) {
+        const reportFilePath = await writeReport(profile, results);
+        logger.info(`Report written: ${reportFilePath}`);
+      }
+      summarizeResults(results);
+    } catch (err) {
+      logger.error(`Run failed:\n${err && err.stack ? err.stack : err}`);
+    }
+    logger.info("Watching for changes...");
+  };
+  state.watcher = createWatcher(changedFilePaths => {
+    state.running = state.running.then(() => runChanged(changedFilePaths));
+  });
+  await runChanged(undefined);
+  return {
+    close: async () => {
+      state.watcher.close();
+      await state.running;
+      logger.trace("Closing browser...");
+      await browser.close();
+    },
+  };
+}
+
+/**
+ * `approve` subcommand.
+ * @param {string} cwd - Path to the current working directory.
+ * @param {string} profileName
+ * @returns {Promise<void>}
+ */
+async function approve(cwd, profileName) {
   Profile.assertNameValid(profileName);
   const config = await loadConfig(cwd);
   const profile = config.getProfile(profileName);
-  const matches = await findTasks(profile, globs);
-  logger.trace("Launching browser...");
-  const browser = await puppeteer.launch();
-  const registeredArgs = await runHook(profile, browser, hookKeys.beforeAll, true);
-  await runTasks(profile, browser, matches, {
-    maxConcurrency: opts.maxConcurrency,
-    registeredArgs: registeredArgs,
+  await approveScreenshots(profile);
+}
+
+/**
+ * `compare` subcommand.
+ * @param {string} cwd - Path to the current working directory.
+ * @param {string} profileNameA
+ * @param {string} profileNameB
+ * @param {Object} opts - `{ threshold?: number }`
+ * @returns {Promise<Object>} The result of the comparison.
+ */
+async function compare(cwd, profileNameA, profileNameB, opts) {
+  Profile.assertNameValid(profileNameA);
+  Profile.assertNameValid(profileNameB);
+  const config = await loadConfig(cwd, opts);
+  const profileA = config.getProfile(profileNameA);
+  const profileB = config.getProfile(profileNameB);
+  return compareProfiles(profileA, profileB, {
+    threshold: opts.threshold,
   });
-  await runHook(profile, browser, hookKeys.afterAll, false);
-  await browser.close();
-  return browser;
+}
+
+/**
+ * `validate` subcommand.
+ * @param {string} cwd - Path to the current working directory.
+ * @param {Object} opts - `{ strict?: boolean }`. If `strict` is set, warnings are also treated as
+ * failures.
+ * @returns {Promise<Object>} `{ ok: boolean, filePath: string, problems: Object[] }`
+ */
+async function validate(cwd, opts) {
+  const logger = getLogger("cli");
+  const { filePath, problems } = await validateConfig(cwd, opts);
+  logger.info(`Validating configuration file '${filePath}'.`);
+  for (const problem of problems) {
+    if (problem.severity === severities.error) {
+      logger.error(formatProblem(filePath, problem));
+    } else {
+      logger.warn(formatProblem(filePath, problem));
+    }
+  }
+  const errorCount = problems.filter(problem => problem.severity === severities.error).length;
+  const warningCount = problems.length - errorCount;
+  logger.info(`${errorCount} error(s), ${warningCount} warning(s)`);
+  const ok = errorCount === 0 && !(opts.strict && warningCount > 0);
+  return { ok, filePath, problems };
 }
 
 module.exports = {
   init,
   run,
+  list,
+  watch,
+  approve,
+  compare,
+  validate,
 };
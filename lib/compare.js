@@ -0,0 +1,167 @@
+"use strict";
+
+const fs = require("fs");
+const glob = require("glob");
+const mkdirp = require("mkdirp");
+const path = require("path");
+const pixelmatch = require("pixelmatch");
+const { PNG } = require("pngjs");
+const util = require("util");
+
+const { getLogger } = require("./logger");
+
+const globAsync = util.promisify(glob);
+const mkdirpAsync = util.promisify(mkdirp);
+const readFileAsync = util.promisify(fs.readFile);
+const unlinkAsync = util.promisify(fs.unlink);
+const writeFileAsync = util.promisify(fs.writeFile);
+
+/**
+ * Compares two PNG images pixel by pixel.
+ * If they differ over the threshold, a diff image highlighting the differing pixels is written to
+ * `diffFilePath`.
+ * @param {string} filePathA
+ * @param {string} filePathB
+ * @param {string} diffFilePath
+ * @param {Object} [opts] - `{ threshold?: number }`, where `threshold` is the maximum ratio of
+ * differing pixels for which no diff image is written (default = 0).
+ * @returns {Promise<Object>} `{ diffPixels: number, diffRatio: number, sizeMismatch: boolean }`
+ */
+async function compareImages(filePathA, filePathB, diffFilePath, opts = {}) {
+  const threshold = typeof opts.threshold === "number" ? opts.threshold : 0;
+  const imageA = PNG.sync.read(await readFileAsync(filePathA));
+  const imageB = PNG.sync.read(await readFileAsync(filePathB));
+  if (imageA.width !== imageB.width || imageA.height !== imageB.height) {
+    // images of different sizes cannot be compared pixel by pixel
+    return {
+      diffPixels  : Math.max(imageA.width * imageA.height, imageB.width * imageB.height),
+      diffRatio   : 1,
+      sizeMismatch: true,
+    };
+  }
+  const { width, height } = imageA;
+  const diff = new PNG({ width, height });
+  const diffPixels = pixelmatch(imageA.data, imageB.data, diff.data, width, height);
+  const diffRatio = width * height === 0 ? 0 : diffPixels / (width * height);
+  if (diffPixels > 0 && diffRatio > threshold) {
+    await mkdirpAsync(path.dirname(diffFilePath));
+    await writeFileAsync(diffFilePath, PNG.sync.write(diff));
+  }
+  return {
+    diffPixels  : diffPixels,
+    diffRatio   : diffRatio,
+    sizeMismatch: false,
+  };
+}
+
+/**
+ * Removes diff images written by previous comparisons from a directory.
+ * @param {string} diffDirPath
+ * @returns {Promise<void>}
+ */
+async function clearDiffDir(diffDirPath) {
+  const fileNames = await globAsync("**/*.png", {
+    cwd  : diffDirPath,
+    nodir: true,
+  });
+  for (const fileName of fileNames) {
+    await unlinkAsync(path.resolve(diffDirPath, fileName));
+  }
+}
+
+/**
+ * Compares PNG images in two directories, pairing files by their relative paths.
+ * @param {string} dirPathA
+ * @param {string} dirPathB
+ * @param {string} diffDirPath - The directory where diff images are written.
+ * @param {Object} opts - `{ threshold?: number }`
+ * @returns {Promise<Object>} An object containing `matching`, `differing`, `onlyInA` and `onlyInB`.
+ */
+async function compareDirs(dirPathA, dirPathB, diffDirPath, opts) {
+  const threshold = typeof opts.threshold === "number" ? opts.threshold : 0;
+  const globOpts = { cwd: dirPathA, nodir: true };
+  const fileNamesA = await globAsync("**/*.png", globOpts);
+  const fileNamesB = await globAsync("**/*.png", Object.assign({}, globOpts, { cwd: dirPathB }));
+  const result = {
+    matching : [],
+    differing: [],
+    onlyInA  : fileNamesA.filter(fileName => !fileNamesB.includes(fileName)).sort(),
+    onlyInB  : fileNamesB.filter(fileName => !fileNamesA.includes(fileName)).sort(),
+  };
+  const commonFileNames = fileNamesA.filter(fileName => fileNamesB.includes(fileName)).sort();
+  for (const fileName of commonFileNames) {
+    const diffFilePath = path.resolve(diffDirPath, fileName);
+    const res = await compareImages(
+      path.resolve(dirPathA, fileName),
+      path.resolve(dirPathB, fileName),
+      diffFilePath,
+      { threshold }
+    );
+    const entry = Object.assign({ fileName }, res);
+    if (res.diffRatio > threshold) {
+      entry.diffFilePath = res.sizeMismatch ? undefined : diffFilePath;
+      result.differing.push(entry);
+    } else {
+      result.matching.push(entry);
+    }
+  }
+  return result;
+}
+
+/**
+ * Compares screenshots of two profiles, pairing files by their relative paths.
+ * Diff images are written to `diffs/<profileA>-<profileB>` in the root directory of `profileA`,
+ * after removing the ones written by previous comparisons.
+ * @param {Profile} profileA
+ * @param {Profile} profileB
+ * @param {Object} opts - `{ threshold?: number }`
+ * @returns {Promise<Object>} The result of `compareDirs()`, plus `diffDirPath: string` and
+ * `passed: boolean`.
+ */
+async function compareProfiles(profileA, profileB, opts) {
+  const logger = getLogger("cli");
+  const diffDirPath = path.resolve(
+    profileA.rootDirPath(),
+    "diffs",
+    `${profileA.name}-${profileB.name}`
+  );
+  logger.trace(`Comparing screenshots of '${profileA.name}' and '${profileB.name}'...`);
+  await clearDiffDir(diffDirPath);
+  const result = await compareDirs(
+    profileA.screenshotsDirPath(),
+    profileB.screenshotsDirPath(),
+    diffDirPath,
+    opts
+  );
+  for (const entry of result.differing) {
+    if (entry.sizeMismatch) {
+      logger.warn(`Differing: ${entry.fileName} (size mismatch)`);
+    } else {
+      logger.warn(`Differing: ${entry.fileName} (${(entry.diffRatio * 100).toFixed(2)}%)`);
+    }
+  }
+  for (const fileName of result.onlyInA) {
+    logger.warn(`Missing in '${profileB.name}': ${fileName}`);
+  }
+  for (const fileName of result.onlyInB) {
+    logger.warn(`Missing in '${profileA.name}': ${fileName}`);
+  }
+  logger.info(
+    `${result.matching.length} matching, ${result.differing.length} differing,`
+    + ` ${result.onlyInA.length + result.onlyInB.length} missing`
+  );
+  if (result.differing.length > 0) {
+    logger.info(`Diff images are written to '${diffDirPath}'.`);
+  }
+  const passed = result.differing.length === 0
+    && result.onlyInA.length === 0
+    && result.onlyInB.length === 0;
+  return Object.assign({ diffDirPath, passed }, result);
+}
+
+module.exports = {
+  compareImages,
+  clearDiffDir,
+  compareDirs,
+  compareProfiles,
+};
@@ -5,8 +5,24 @@ const json5 = require("json5");
 const path = require("path");
 const util = require("util");
 
-const { isObject } = require("./utils");
+const { isObject, deepMerge } = require("./utils");
+const { loadDotenv, interpolateEnv } = require("./env");
+const {
+  profileNamePattern,
+  viewportKeys,
+  pageOptionValidators,
+  screenshotOptionValidators,
+  pdfOptionValidators,
+  severities,
+  validateConfigData,
+  assertProfileDataValid,
+  locateJson5Paths,
+  findLine,
+  formatPath,
+  formatProblem,
+} = require("./schema");
 const { hookKeys } = require("./tasks");
+const { expandTemplate } = require("./screenshot");
 const { getLogger } = require("./logger");
 
 const readFileAsync = util.promisify(fs.readFile);
@@ -23,9 +39,27 @@ class Config {
       throw new TypeError("invalid configuration: configration must be an object");
     }
     const rootDirPath = path.dirname(filePath);
+    this._filePath = filePath;
+    this._rootDirPath = rootDirPath;
     this._profiles = readProfiles(rootDirPath, configData);
   }
 
+  /**
+   * Returns the path to the configuration file.
+   * @returns {string}
+   */
+  filePath() {
+    return this._filePath;
+  }
+
+  /**
+   * Returns the root directory path i.e. the directory containing the configuration file.
+   * @returns {string}
+   */
+  rootDirPath() {
+    return this._rootDirPath;
+  }
+
   /**
    * Gets the profile by name.
    * @param {string} name
@@ -37,6 +71,14 @@ class Config {
     }
     return this._profiles.get(name);
   }
+
+  /**
+   * Returns all the configured profiles.
+   * @returns {Profile[]}
+   */
+  profiles() {
+    return Array.from(this._profiles.values());
+  }
 }
 
 /**
@@ -53,12 +95,71 @@ function readProfiles(rootDirPath, configData) {
   if (!isObject(configData["profiles"])) {
     throw new TypeError("invalid configuration: 'profiles' must be an object");
   }
-  for (const [name, profileData] of Object.entries(configData["profiles"])) {
+  const profilesData = configData["profiles"];
+  for (const name of Object.keys(profilesData)) {
+    const profileData = resolveProfileData(name, profilesData, []);
     profiles.set(name, new Profile(name, rootDirPath, profileData));
   }
   return profiles;
 }
 
+/**
+ * Resolves a raw profile data by merging data of the profile it inherits from.
+ * A profile inherits from the profile specified by `extends`, or from its nearest configured
+ * ancestor if it is a subprofile.
+ * @param {string} name
+ * @param {Object} profilesData - The raw data of all the profiles.
+ * @param {string[]} descendants - The names of the profiles inheriting from this profile, used to
+ * detect circular inheritance.
+ * @returns {Object}
+ */
+function resolveProfileData(name, profilesData, descendants) {
+  const profileData = profilesData[name];
+  const isConfigured = key => Object.prototype.hasOwnProperty.call(profilesData, key);
+  if (!isObject(profileData)) {
+    throw new TypeError(`invalid profile '${name}': profile must be an object`);
+  }
+  let baseName;
+  if (profileData["extends"] !== undefined) {
+    baseName = profileData["extends"];
+    if (typeof baseName !== "string") {
+      throw new TypeError(`invalid profile '${name}': extends must be a profile name`);
+    }
+    if (!isConfigured(baseName)) {
+      throw new Error(
+        `invalid profile '${name}': extended profile '${baseName}' is not configured`
+      );
+    }
+  } else {
+    // inherits from the nearest configured ancestor
+    let ancestorName = getParentProfileName(name);
+    while (ancestorName !== undefined && !isConfigured(ancestorName)) {
+      ancestorName = getParentProfileName(ancestorName);
+    }
+    baseName = ancestorName;
+  }
+  const resolved = Object.assign({}, profileData);
+  delete resolved["extends"];
+  if (baseName === undefined) {
+    return resolved;
+  }
+  if (baseName === name || descendants.includes(baseName)) {
+    throw new Error(`invalid profile '${name}': circular inheritance from profile '${baseName}'`);
+  }
+  const baseData = resolveProfileData(baseName, profilesData, descendants.concat([name]));
+  return deepMerge(baseData, resolved);
+}
+
+/**
+ * Returns the name of the parent profile if the profile is a subprofile.
+ * @param {string} name
+ * @returns {string|undefined}
+ */
+function getParentProfileName(name) {
+  const index = name.lastIndexOf("_");
+  return index >= 0 ? name.slice(0, index) : undefined;
+}
+
 class Profile {
   /**
    * Asserts validity of a profile name.
@@ -66,7 +167,7 @@ class Profile {
    * @returns {void}
    */
   static assertNameValid(name) {
-    if (!/^[A-Za-z0-9]+(_[A-Za-z0-9]+)?$/.test(name)) {
+    if (!profileNamePattern.test(name)) {
       throw new Error(`invalid profile name: '${name}'`);
     }
   }
@@ -78,12 +179,24 @@ class Profile {
    */
   constructor(name, rootDirPath, profileData) {
     Profile.assertNameValid(name);
-    if (!isObject(profileData)) {
-      throw new TypeError(`invalid profile '${name}': profile must be an object`);
-    }
+    assertProfileDataValid(name, profileData);
     this._name = name;
     this._rootDirPath = rootDirPath;
-    this._hooks = readHooks(name, profileData);
+    this._hooks = readHooks(profileData);
+    this._threshold = readSetting(profileData, "threshold", 0);
+    this._retries = readSetting(profileData, "retries", 0);
+    this._retryDelay = readSetting(profileData, "retryDelay", 1000);
+    this._taskTimeout = readSetting(profileData, "taskTimeout", 0);
+    this._isolate = readSetting(profileData, "isolate", false);
+    this._screenshotsDir = readSetting(
+      profileData, "screenshotsDir", path.join("screenshots", "{profile}")
+    );
+    this._screenshotPath = readSetting(profileData, "screenshotPath", undefined);
+    this._launch = readOptions(profileData, "launch", undefined);
+    this._viewports = readViewports(profileData);
+    this._page = readOptions(profileData, "page", pageOptionValidators);
+    this._screenshot = readOptions(profileData, "screenshot", screenshotOptionValidators);
+    this._pdf = readOptions(profileData, "pdf", pdfOptionValidators);
     this._data = Object.freeze(Object.assign({}, profileData["data"]));
   }
 
@@ -97,11 +210,116 @@ class Profile {
     return this._hooks;
   }
 
+  /**
+   * The maximum ratio of differing pixels allowed when screenshots are compared against baselines.
+   * @type {number}
+   */
+  get threshold() {
+    return this._threshold;
+  }
+
+  /**
+   * The number of times a failed task is retried.
+   * @type {number}
+   */
+  get retries() {
+    return this._retries;
+  }
+
+  /**
+   * The delay (in milliseconds) before the first retry. The delay is doubled for each retry.
+   * @type {number}
+   */
+  get retryDelay() {
+    return this._retryDelay;
+  }
+
+  /**
+   * The time limit (in milliseconds) for each task. Zero means no limit.
+   * @type {number}
+   */
+  get taskTimeout() {
+    return this._taskTimeout;
+  }
+
+  /**
+   * Whether each task is run in its own incognito browser context.
+   * @type {boolean}
+   */
+  get isolate() {
+    return this._isolate;
+  }
+
+  /**
+   * The path template of screenshot files relative to the screenshots directory, or `undefined` if
+   * the default layout is used.
+   * @type {string|undefined}
+   */
+  get screenshotPath() {
+    return this._screenshotPath;
+  }
+
+  /**
+   * Options passed to `puppeteer.launch()`.
+   * @type {Object}
+   */
+  get launch() {
+    return this._launch;
+  }
+
+  /**
+   * Viewports for which each task is run. Each viewport is an object containing `name`, and
+   * optionally `device` (a Puppeteer device name), `viewport` and `userAgent`.
+   * @type {Object[]}
+   */
+  get viewports() {
+    return this._viewports;
+  }
+
+  /**
+   * Defaults applied to pages opened by `newPage()` in tasks, containing `viewport`, `userAgent`,
+   * `extraHTTPHeaders`, `cookies` and `defaultNavigationTimeout` if specified.
+   * @type {Object}
+   */
+  get page() {
+    return this._page;
+  }
+
+  /**
+   * Defaults of the options of `screenshot()` in tasks, containing `hide`, `mask`, `maskColor`,
+   * `injectCss` and `stable` if specified.
+   * @type {Object}
+   */
+  get screenshot() {
+    return this._screenshot;
+  }
+
+  /**
+   * Defaults of the options passed to `page.pdf()` by `pdf()` in tasks, containing `format`,
+   * `landscape`, `margin` and `printBackground` if specified.
+   * @type {Object}
+   */
+  get pdf() {
+    return this._pdf;
+  }
+
   /** @type {*} */
   get data() {
     return this._data;
   }
 
+  /**
+   * Creates a copy of the profile with different data.
+   * @param {*} data
+   * @returns {Profile}
+   */
+  withData(data) {
+    const profile = Object.create(Profile.prototype);
+    Object.assign(profile, this);
+    profile._data = Object.freeze(Object.assign({}, data));
+    return profile;
+  }
+
   /**
    * Returns the root directory path.
    * @returns {string}
@@ -115,7 +333,7 @@ class Profile {
    * @returns {string}
    */
   tasksDirPath() {
-    // Uses the parent profile name if the profile is a subprofile.
+    // Uses the top-level profile name if the profile is a subprofile.
     const dirName = this._name.split("_")[0];
     return path.resolve(this._rootDirPath, "tasks", dirName);
   }
@@ -125,34 +343,140 @@ class Profile {
    * @returns {string}
    */
   screenshotsDirPath() {
-    return path.resolve(this._rootDirPath, "screenshots", this._name);
+    const dirPath = expandTemplate(this._screenshotsDir, { profile: this._name });
+    return path.resolve(this._rootDirPath, dirPath);
+  }
+
+  /**
+   * Returns the baselines directory path of the profile.
+   * @returns {string}
+   */
+  baselinesDirPath() {
+    return path.resolve(this._rootDirPath, "baselines", this._name);
+  }
+
+  /**
+   * Returns the diffs directory path of the profile.
+   * @returns {string}
+   */
+  diffsDirPath() {
+    return path.resolve(this._rootDirPath, "diffs", this._name);
   }
 }
 
 /**
  * Reads hooks from a raw profile data.
- * @param {string} profileName
- * @param {Object|undefined} profileData
+ * @param {Object} profileData - A validated raw profile data.
  * @returns {Object} An object containing paths to the hook scripts.
  */
-function readHooks(profileName, profileData) {
+function readHooks(profileData) {
   const hooks = {};
-  if (profileData["hooks"] === undefined) {
-    return Object.freeze(hooks);
+  if (profileData["hooks"] !== undefined) {
+    for (const key of Object.values(hookKeys)) {
+      if (profileData["hooks"][key] !== undefined) {
+        hooks[key] = profileData["hooks"][key];
+      }
+    }
   }
-  if (!isObject(profileData["hooks"])) {
-    throw new TypeError(`invalid profile '${profileName}': hooks must be an object`);
+  return Object.freeze(hooks);
+}
+
+/**
+ * Reads a scalar setting from a raw profile data.
+ * @param {Object} profileData - A validated raw profile data.
+ * @param {string} key
+ * @param {*} defaultValue - The value used if the setting is not specified.
+ * @returns {*}
+ */
+function readSetting(profileData, key, defaultValue) {
+  return profileData[key] !== undefined ? profileData[key] : defaultValue;
+}
+
+/**
+ * Reads options (e.g. launch options) from a raw profile data.
+ * @param {Object} profileData - A validated raw profile data.
+ * @param {string} key
+ * @param {Map<string, Object>|undefined} validators - The validators of the known options. Only
+ * the known options are read if specified; otherwise all options are read.
+ * @returns {Object}
+ */
+function readOptions(profileData, key, validators) {
+  const opts = {};
+  if (profileData[key] !== undefined) {
+    const keys = validators !== undefined
+      ? Array.from(validators.keys())
+      : Object.keys(profileData[key]);
+    for (const optKey of keys) {
+      const val = profileData[key][optKey];
+      if (val !== undefined) {
+        opts[optKey] = Array.isArray(val) ? Object.freeze(val.slice()) : val;
+      }
+    }
   }
-  for (const key of Object.values(hookKeys)) {
-    if (profileData["hooks"][key] === undefined) {
-      continue;
+  return Object.freeze(opts);
+}
+
+/**
+ * Reads viewports from a raw profile data.
+ * @param {Object} profileData - A validated raw profile data.
+ * @returns {Object[]}
+ */
+function readViewports(profileData) {
+  if (profileData["viewports"] === undefined) {
+    return Object.freeze([]);
+  }
+  const viewports = profileData["viewports"].map(entry => {
+    if (typeof entry === "string") {
+      // a device name
+      return Object.freeze({
+        name     : entry.replace(/[^0-9A-Za-z_-]/g, ""),
+        device   : entry,
+        viewport : undefined,
+        userAgent: undefined,
+      });
     }
-    if (typeof profileData["hooks"][key] !== "string") {
-      throw new TypeError(`invalid profile '${profileName}': hook '${key}' must be a file path`);
+    const viewport = {};
+    for (const key of viewportKeys) {
+      if (entry[key] !== undefined) {
+        viewport[key] = entry[key];
+      }
     }
-    hooks[key] = profileData["hooks"][key];
+    return Object.freeze({
+      name     : entry["name"],
+      device   : entry["device"],
+      viewport : Object.keys(viewport).length > 0 ? Object.freeze(viewport) : undefined,
+      userAgent: entry["userAgent"],
+    });
+  });
+  return Object.freeze(viewports);
+}
+
+/**
+ * Parses data overrides given on the command line.
+ * Each override is of the form `key.path=value`. A value is parsed as JSON if possible, and is
+ * treated as a string otherwise.
+ * @param {string[]} args
+ * @returns {Object} The data to be merged into the data of a profile.
+ */
+function parseDataOverrides(args) {
+  let data = {};
+  for (const arg of args) {
+    const index = arg.indexOf("=");
+    const keys = index >= 0 ? arg.slice(0, index).split(".") : [];
+    if (keys.length === 0 || keys.some(key => key === "")) {
+      throw new Error(`invalid data override '${arg}': expected key.path=value`);
+    }
+    const rawValue = arg.slice(index + 1);
+    let value;
+    try {
+      value = JSON.parse(rawValue);
+    } catch (err) {
+      value = rawValue;
+    }
+    const override = keys.reduceRight((val, key) => ({ [key]: val }), value);
+    data = deepMerge(data, override);
   }
-  return Object.freeze(hooks);
+  return data;
 }
 
 /**
@@ -160,6 +484,11 @@ function readHooks(profileName, profileData) {
  */
 const configFileName = "archerfish.json5";
 
+/**
+ * @type {string}
+ */
+const jsConfigFileName = "archerfish.config.js";
+
 /**
  * The content of a configuration file created when a project is initialized.
  * @type {string}
@@ -171,21 +500,23 @@ const initialConfig = [
 ].join("\n") + "\n";
 
 /**
- * Creates a configuration file if not exists.
+ * Creates a configuration file if neither a configuration file nor a JS configuration file exists.
  * @param {string} cwd - Path to the current working directory.
  * @returns {Promise<void>}
  */
 async function initConfig(cwd) {
   const logger = getLogger("cli");
   const configFilePath = path.resolve(cwd, configFileName);
-  let exists = true;
-  try {
-    await statAsync(configFilePath);
-  } catch (err) {
-    if (err.code === "ENOENT") {
-      exists = false;
-    } else {
-      throw err;
+  // a JS configuration file would be shadowed by a new configuration file
+  let exists = false;
+  for (const fileName of [configFileName, jsConfigFileName]) {
+    try {
+      await statAsync(path.resolve(cwd, fileName));
+      exists = true;
+    } catch (err) {
+      if (err.code !== "ENOENT") {
+        throw err;
+      }
     }
   }
   if (exists) {
@@ -198,46 +529,205 @@ async function initConfig(cwd) {
 
 /**
  * Loads the configuration file.
+ * Environment variables in string values are interpolated. Variables in the `.env` file next to
+ * the configuration file are also available, unless they are already set.
+ * The configuration is validated against the schema; warnings are logged, and errors are reported
+ * all at once.
  * @param {string} cwd - Path to the current working directory.
+ * @param {Object} [opts] - Options passed to the function exported from a JavaScript configuration
+ * file, e.g. the command line options.
  * @returns {Promise<Config>}
  */
-async function loadConfig(cwd) {
+async function loadConfig(cwd, opts = {}) {
   const logger = getLogger("cli");
-  const { filePath, content } = await searchConfig(cwd);
+  const filePath = await searchConfig(cwd);
   logger.info(`Using configuration file '${filePath}'.`);
+  let problems;
+  let data;
+  try {
+    ({ problems, data } = await readAndValidateConfig(filePath, opts));
+  } catch (err) {
+    throw new Error(`failed to load configuration file '${filePath}':\n${err}`);
+  }
+  for (const problem of problems) {
+    if (problem.severity === severities.warning) {
+      logger.warn(formatProblem(filePath, problem));
+    }
+  }
+  const errors = problems.filter(problem => problem.severity === severities.error);
+  if (errors.length > 0) {
+    const messages = errors.map(problem => formatProblem(filePath, problem));
+    throw new Error(`failed to load configuration file '${filePath}':\n${messages.join("\n")}`);
+  }
   try {
-    const data = json5.parse(content);
     return new Config(filePath, data);
   } catch (err) {
     throw new Error(`failed to load configuration file '${filePath}':\n${err}`);
   }
 }
 
+/**
+ * Validates the configuration file, collecting all the problems found.
+ * In addition to the schema, checks that the hook files and the tasks directories exist.
+ * @param {string} cwd - Path to the current working directory.
+ * @param {Object} [opts] - Options passed to the function exported from a JavaScript configuration
+ * file.
+ * @returns {Promise<Object>} `{ filePath: string, problems: Object[] }`. Each problem contains
+ * `severity`, `path`, `line` (if known) and `message`.
+ */
+async function validateConfig(cwd, opts = {}) {
+  const filePath = await searchConfig(cwd);
+  let problems;
+  let data;
+  let lines;
+  try {
+    ({ problems, data, lines } = await readAndValidateConfig(filePath, opts));
+  } catch (err) {
+    return {
+      filePath: filePath,
+      problems: [{ severity: severities.error, path: "", message: err.message }],
+    };
+  }
+  if (problems.some(problem => problem.severity === severities.error)) {
+    return { filePath, problems };
+  }
+  let config;
+  try {
+    config = new Config(filePath, data);
+  } catch (err) {
+    problems.push({ severity: severities.error, path: "", message: err.message });
+    return { filePath, problems };
+  }
+  const profilesData = data["profiles"] || {};
+  for (const name of Object.keys(profilesData)) {
+    const hooks = profilesData[name]["hooks"] || {};
+    for (const key of Object.keys(hooks)) {
+      if (!Object.values(hookKeys).includes(key)) {
+        continue;
+      }
+      try {
+        require.resolve(path.resolve(config.rootDirPath(), hooks[key]));
+      } catch (err) {
+        const keys = ["profiles", name, "hooks", key];
+        problems.push({
+          severity: severities.error,
+          path    : formatPath(keys),
+          line    : lines && findLine(lines, keys),
+          message : `hook file '${hooks[key]}' does not exist`,
+        });
+      }
+    }
+  }
+  const checkedDirPaths = new Set();
+  for (const profile of config.profiles()) {
+    const dirPath = profile.tasksDirPath();
+    if (checkedDirPaths.has(dirPath)) {
+      continue;
+    }
+    checkedDirPaths.add(dirPath);
+    if (!await isDirectory(dirPath)) {
+      const keys = ["profiles", profile.name];
+      problems.push({
+        severity: severities.warning,
+        path    : formatPath(keys),
+        line    : lines && findLine(lines, keys),
+        message : `tasks directory '${dirPath}' does not exist`,
+      });
+    }
+  }
+  return { filePath, problems };
+}
+
+/**
+ * Reads a configuration file, interpolates environment variables, and validates the data against
+ * the schema. Environment variables that are not set are reported as problems along with the
+ * others.
+ * @param {string} filePath
+ * @param {Object} opts
+ * @returns {Promise<Object>} `{ data, problems, lines }`, where `lines` maps paths to line numbers
+ * for a JSON5 configuration file.
+ */
+async function readAndValidateConfig(filePath, opts) {
+  const env = Object.assign({}, await loadDotenv(path.dirname(filePath)), process.env);
+  const rawData = await readConfigData(filePath, env, opts);
+  const envProblems = [];
+  const data = interpolateEnv(rawData, env, (keys, message) => {
+    envProblems.push({
+      severity: severities.error,
+      keys    : keys,
+      path    : formatPath(keys),
+      message : message,
+    });
+  });
+  const lines = path.basename(filePath) === configFileName
+    ? locateJson5Paths(await readFileAsync(filePath, "utf8"))
+    : undefined;
+  const problems = envProblems.concat(validateConfigData(data))
+    .map(problem => Object.assign({}, problem, {
+      line: lines && findLine(lines, problem.keys),
+    }));
+  return { data, problems, lines };
+}
+
+/**
+ * @param {string} dirPath
+ * @returns {Promise<boolean>}
+ */
+async function isDirectory(dirPath) {
+  try {
+    const stats = await statAsync(dirPath);
+    return stats.isDirectory();
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Reads a raw configuration data from a configuration file.
+ * A JavaScript configuration file exports either a configuration data or a (possibly asynchronous)
+ * function that takes `{ env, options }` and returns a configuration data.
+ * @param {string} filePath
+ * @param {Object} env - The environment variables.
+ * @param {Object} opts
+ * @returns {Promise<*>}
+ */
+async function readConfigData(filePath, env, opts) {
+  if (path.basename(filePath) === jsConfigFileName) {
+    const exported = require(filePath);
+    if (typeof exported === "function") {
+      return exported({
+        env    : env,
+        options: opts,
+      });
+    }
+    return exported;
+  }
+  const content = await readFileAsync(filePath, "utf8");
+  return json5.parse(content);
+}
+
 /**
  * Searches configuration file in the nearest ancestor directory.
+ * If a directory contains both `archerfish.json5` and `archerfish.config.js`, the former is used.
  * @param {string} cwd - Path to the current working directory.
- * @returns {Promise<Object>} An object containing `file` and `content`.
+ * @returns {Promise<string>} The path to the found configuration file.
  */
 async function searchConfig(cwd) {
   const rootDirPath = path.parse(cwd).root;
   let dirPath = cwd;
   while (true) {
-    const configFilePath = path.resolve(dirPath, configFileName);
-    let content;
-    try {
-      content = await readFileAsync(configFilePath, "utf8");
-    } catch (err) {
-      // ignore ENOENT; continue searching the parent directories
-      if (err.code !== "ENOENT") {
-        throw new Error(`failed to load configuration file '${configFilePath}':\n${err}`);
+    for (const fileName of [configFileName, jsConfigFileName]) {
+      const configFilePath = path.resolve(dirPath, fileName);
+      try {
+        await statAsync(configFilePath);
+        return configFilePath;
+      } catch (err) {
+        // ignore ENOENT; continue searching
+        if (err.code !== "ENOENT") {
+          throw new Error(`failed to load configuration file '${configFilePath}':\n${err}`);
+        }
       }
     }
-    if (content !== undefined) {
-      return {
-        filePath: configFilePath,
-        content : content,
-      };
-    }
     if (dirPath === rootDirPath) {
       throw new Error("failed to load configuration file: no configuration file found");
     }
@@ -249,6 +739,9 @@ module.exports = {
   Config,
   Profile,
   configFileName,
+  jsConfigFileName,
   initConfig,
   loadConfig,
+  validateConfig,
+  parseDataOverrides,
 };
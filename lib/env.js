@@ -0,0 +1,127 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const util = require("util");
+
+const { isPlainObject } = require("./utils");
+
+const readFileAsync = util.promisify(fs.readFile);
+
+/**
+ * @type {string}
+ */
+const dotenvFileName = ".env";
+
+/**
+ * Parses the content of a `.env` file.
+ * Each line is of the form `KEY=VALUE` (optionally prefixed by `export`). Values may be quoted by
+ * single or double quotes; `\n` in a double-quoted value is converted to a newline. Empty lines and
+ * lines starting with `#` are ignored.
+ * @param {string} content
+ * @returns {Object} The variables.
+ */
+function parseDotenv(content) {
+  const vars = {};
+  for (const line of content.split(/\r?\n/)) {
+    const res = /^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*?)\s*$/.exec(line);
+    if (res === null) {
+      continue;
+    }
+    const [, key, rawValue] = res;
+    let value = rawValue;
+    if (/^"(.*)"$/.test(rawValue)) {
+      value = rawValue.slice(1, -1).replace(/\\n/g, "\n");
+    } else if (/^'(.*)'$/.test(rawValue)) {
+      value = rawValue.slice(1, -1);
+    } else {
+      value = rawValue.replace(/\s+#.*$/, "");
+    }
+    vars[key] = value;
+  }
+  return vars;
+}
+
+/**
+ * Loads the `.env` file in a directory if exists.
+ * @param {string} dirPath
+ * @returns {Promise<Object>} The variables, or an empty object if the file does not exist.
+ */
+async function loadDotenv(dirPath) {
+  let content;
+  try {
+    content = await readFileAsync(path.resolve(dirPath, dotenvFileName), "utf8");
+  } catch (err) {
+    if (err.code === "ENOENT") {
+      return {};
+    }
+    throw err;
+  }
+  return parseDotenv(content);
+}
+
+/**
+ * Interpolates environment variables in all string values in a configuration data.
+ * `${NAME}` is replaced with the value of the variable `NAME`, and `${NAME:-default}` falls back to
+ * `default` if `NAME` is not set or empty. `$${` is replaced with a literal `${`.
+ * @param {*} val
+ * @param {Object} env
+ * @param {Function} [report] - Called with `(keys, message)` for each variable without default that
+ * is not set, where `keys` is the path to the value as an array; the reference is then left as it
+ * is. If not given, an error is thrown instead.
+ * @returns {*} An interpolated value. `val` is not modified.
+ */
+function interpolateEnv(val, env, report) {
+  const reportMissing = report !== undefined
+    ? report
+    : (keys, message) => {
+      throw new Error(message);
+    };
+  return interpolateValue(val, env, [], reportMissing);
+}
+
+/**
+ * @param {*} val
+ * @param {Object} env
+ * @param {Array<string|number>} keys - The path to the value.
+ * @param {Function} report
+ * @returns {*}
+ */
+function interpolateValue(val, env, keys, report) {
+  if (typeof val === "string") {
+    return val.replace(/\$\$\{|\$\{([A-Za-z_][A-Za-z0-9_]*)(:-([^}]*))?\}/g,
+      (match, name, fallback, defaultValue) => {
+        if (match === "$${") {
+          return "${";
+        }
+        const value = env[name];
+        if (fallback !== undefined && (value === undefined || value === "")) {
+          return defaultValue;
+        }
+        if (value === undefined) {
+          report(keys, `environment variable '${name}' is not set`);
+          return match;
+        }
+        return value;
+      }
+    );
+  }
+  if (Array.isArray(val)) {
+    return val.map((elem, i) => interpolateValue(elem, env, keys.concat([i]), report));
+  }
+  if (isPlainObject(val)) {
+    const res = {};
+    for (const key of Object.keys(val)) {
+      res[key] = interpolateValue(val[key], env, keys.concat([key]), report);
+    }
+    return res;
+  }
+  return val;
+}
+
+module.exports = {
+  dotenvFileName,
+  parseDotenv,
+  loadDotenv,
+  interpolateEnv,
+};
@@ -0,0 +1,16 @@
+"use strict";
+
+const { Runner, createRunner } = require("./runner");
+const { Config, Profile, configFileName, loadConfig } = require("./config");
+const { taskStatuses, TaskTimeoutError } = require("./tasks");
+
+module.exports = {
+  Runner,
+  createRunner,
+  Config,
+  Profile,
+  configFileName,
+  loadConfig,
+  taskStatuses,
+  TaskTimeoutError,
+};
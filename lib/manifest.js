@@ -0,0 +1,208 @@
+"use strict";
+
+/* global window */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const mkdirp = require("mkdirp");
+const path = require("path");
+const util = require("util");
+
+const { getEvaluate } = require("./masks");
+
+const mkdirpAsync = util.promisify(mkdirp);
+const readFileAsync = util.promisify(fs.readFile);
+const writeFileAsync = util.promisify(fs.writeFile);
+
+/**
+ * @type {string}
+ */
+const manifestFileName = "manifest.json";
+
+/**
+ * Computes the content hash of a file.
+ * @param {Buffer} content
+ * @returns {string} The hash in the form `sha256:<hex>`.
+ */
+function hashContent(content) {
+  return "sha256:" + crypto.createHash("sha256").update(content).digest("hex");
+}
+
+/**
+ * Reads the dimensions of a PNG or JPEG image from its header.
+ * @param {Buffer} content
+ * @returns {Object|undefined} `{ width: number, height: number }`, or `undefined` if unknown.
+ */
+function readImageSize(content) {
+  // PNG: the IHDR chunk follows the 8-byte signature
+  if (content.length >= 24 && content.readUInt32BE(0) === 0x89504E47) {
+    return {
+      width : content.readUInt32BE(16),
+      height: content.readUInt32BE(20),
+    };
+  }
+  // JPEG: search for a start-of-frame marker
+  if (content.length >= 4 && content.readUInt16BE(0) === 0xFFD8) {
+    let pos = 2;
+    while (pos + 9 <= content.length && content[pos] === 0xFF) {
+      const marker = content[pos + 1];
+      const isSof = marker >= 0xC0 && marker <= 0xCF
+        && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC;
+      if (isSof) {
+        return {
+          width : content.readUInt16BE(pos + 7),
+          height: content.readUInt16BE(pos + 5),
+        };
+      }
+      pos += 2 + content.readUInt16BE(pos + 2);
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Runs in the browser: returns the device pixel ratio.
+ * @returns {number}
+ */
+function getDevicePixelRatio() {
+  return window.devicePixelRatio;
+}
+
+/**
+ * Gets the URL of the page of a target.
+ * @param {Page|ElementHandle} target
+ * @returns {string|null}
+ */
+function getTargetUrl(target) {
+  if (typeof target.url === "function") {
+    return target.url();
+  }
+  if (typeof target.executionContext === "function") {
+    const frame = target.executionContext().frame();
+    return frame ? frame.url() : null;
+  }
+  return null;
+}
+
+/**
+ * Gets the viewport the page of a target is emulating.
+ * @param {Page|ElementHandle} target
+ * @returns {Object|null} A copy of `page.viewport()`, or `null` if the target is not a page or the
+ * viewport is not set.
+ */
+function getTargetViewport(target) {
+  if (typeof target.viewport !== "function") {
+    return null;
+  }
+  const viewport = target.viewport();
+  return viewport ? Object.assign({}, viewport) : null;
+}
+
+/**
+ * Collects metadata of a screenshot file just written.
+ * @param {Page|ElementHandle} target - The target of the screenshot, or the page containing it.
+ * @param {string} filePath
+ * @param {Buffer} content - The content of the screenshot file.
+ * @param {Object} info - `{ profile: Profile, taskFilePath: string, name: *, viewport?: string,
+ * selector?: string, change: string }`, where `viewport` is the name of the viewport for which the
+ * task is run and `change` is one of `changeStatuses`.
+ * @returns {Promise<Object>} An entry of the manifest.
+ */
+async function collectScreenshotMetadata(target, filePath, content, info) {
+  const size = readImageSize(content);
+  const deviceScaleFactor = await getEvaluate(target)(getDevicePixelRatio);
+  const { profile } = info;
+  return {
+    file             : toPosixPath(path.relative(profile.screenshotsDirPath(), filePath)),
+    taskFile         : toPosixPath(path.relative(profile.tasksDirPath(), info.taskFilePath)),
+    name             : info.name === undefined || info.name === null ? null : String(info.name),
+    url              : getTargetUrl(target),
+    viewport         : info.viewport !== undefined ? info.viewport : null,
+    pageViewport     : getTargetViewport(target),
+    deviceScaleFactor: typeof deviceScaleFactor === "number" ? deviceScaleFactor : null,
+    selector         : info.selector !== undefined ? info.selector : null,
+    capturedAt       : new Date().toISOString(),
+    width            : size !== undefined ? size.width : null,
+    height           : size !== undefined ? size.height : null,
+    hash             : hashContent(content),
+    change           : info.change,
+  };
+}
+
+/**
+ * @param {string} filePath
+ * @returns {string}
+ */
+function toPosixPath(filePath) {
+  return filePath.split(path.sep).join("/");
+}
+
+/**
+ * Creates a manifest of a run.
+ * @param {Profile} profile
+ * @param {Object[]} results - The results of the tasks.
+ * @param {Date} date - The date of the run.
+ * @returns {Object}
+ */
+function createManifest(profile, results, date) {
+  const screenshots = [];
+  for (const result of results) {
+    Array.prototype.push.apply(screenshots, result.captures || []);
+  }
+  return {
+    profile    : profile.name,
+    createdAt  : date.toISOString(),
+    screenshots: screenshots,
+  };
+}
+
+/**
+ * Writes a manifest listing the screenshots written in a run to the screenshots directory of the
+ * profile.
+ * @param {Profile} profile
+ * @param {Object[]} results - The results of the tasks.
+ * @returns {Promise<string>} The path to the manifest file.
+ */
+async function writeManifest(profile, results) {
+  const manifest = createManifest(profile, results, new Date());
+  const dirPath = profile.screenshotsDirPath();
+  await mkdirpAsync(dirPath);
+  const manifestFilePath = path.resolve(dirPath, manifestFileName);
+  await writeFileAsync(manifestFilePath, JSON.stringify(manifest, null, 2) + "\n", "utf8");
+  return manifestFilePath;
+}
+
+/**
+ * Reads the manifest of the previous run from the screenshots directory of the profile.
+ * @param {Profile} profile
+ * @returns {Promise<Object|null>} The manifest, or `null` if it does not exist or has been written
+ * for another profile (e.g. one sharing the screenshots directory).
+ */
+async function readManifest(profile) {
+  const manifestFilePath = path.resolve(profile.screenshotsDirPath(), manifestFileName);
+  let content;
+  try {
+    content = await readFileAsync(manifestFilePath, "utf8");
+  } catch (err) {
+    if (err.code === "ENOENT") {
+      return null;
+    }
+    throw err;
+  }
+  const manifest = JSON.parse(content);
+  if (manifest === null || typeof manifest !== "object" || manifest.profile !== profile.name
+    || !Array.isArray(manifest.screenshots)) {
+    return null;
+  }
+  return manifest;
+}
+
+module.exports = {
+  manifestFileName,
+  hashContent,
+  readImageSize,
+  collectScreenshotMetadata,
+  createManifest,
+  writeManifest,
+  readManifest,
+};
@@ -0,0 +1,162 @@
+"use strict";
+
+/* global document, window */
+
+/**
+ * The attribute set on elements inserted into pages, whose value identifies each application.
+ * @type {string}
+ */
+const maskAttribute = "data-archerfish-mask";
+
+/**
+ * The default color of masks.
+ * @type {string}
+ */
+const defaultMaskColor = "#FF00FF";
+
+/**
+ * Keys of the options of `screenshot()` that are handled here, not passed to Puppeteer.
+ * @type {string[]}
+ */
+const maskOptionKeys = ["hide", "mask", "maskColor", "injectCss"];
+
+let applicationCount = 0;
+
+/**
+ * Runs in the browser: hides and masks elements and injects CSS.
+ * @param {string} attr
+ * @param {string} token
+ * @param {string[]} hide
+ * @param {string[]} mask
+ * @param {string} maskColor
+ * @param {string} injectCss
+ * @returns {void}
+ */
+function applyInPage(attr, token, hide, mask, maskColor, injectCss) {
+  // overlays are positioned by document coordinates, which are not affected by the position or
+  // the transform of the body if they are placed in the root element
+  const root = document.documentElement;
+  try {
+    // an invalid selector would make the whole rule ignored silently, while querySelector() throws
+    for (const selector of hide) {
+      document.querySelector(selector);
+    }
+    const style = document.createElement("style");
+    style.setAttribute(attr, token);
+    const rules = [];
+    if (hide.length > 0) {
+      rules.push(`${hide.join(", ")} { visibility: hidden !important; }`);
+    }
+    rules.push(injectCss);
+    style.textContent = rules.join("\n");
+    document.head.appendChild(style);
+    for (const selector of mask) {
+      for (const elem of document.querySelectorAll(selector)) {
+        const rect = elem.getBoundingClientRect();
+        const overlay = document.createElement("div");
+        overlay.setAttribute(attr, token);
+        Object.assign(overlay.style, {
+          position     : "absolute",
+          left         : `${rect.left + window.scrollX}px`,
+          top          : `${rect.top + window.scrollY}px`,
+          width        : `${rect.width}px`,
+          height       : `${rect.height}px`,
+          background   : maskColor,
+          zIndex       : "2147483647",
+          pointerEvents: "none",
+        });
+        root.appendChild(overlay);
+      }
+    }
+  } catch (err) {
+    for (const elem of document.querySelectorAll(`[${attr}="${token}"]`)) {
+      elem.remove();
+    }
+    throw err;
+  }
+}
+
+/**
+ * Runs in the browser: removes elements inserted by `applyInPage()`.
+ * @param {string} attr
+ * @param {string} token
+ * @returns {void}
+ */
+function revertInPage(attr, token) {
+  for (const elem of document.querySelectorAll(`[${attr}="${token}"]`)) {
+    elem.remove();
+  }
+}
+
+/**
+ * Returns a function that evaluates a function in the page of a target.
+ * @param {Page|ElementHandle} target
+ * @returns {Function}
+ */
+function getEvaluate(target) {
+  if (typeof target.executionContext === "function") {
+    // ElementHandle
+    return (fn, ...args) => target.executionContext().evaluate(fn, ...args);
+  }
+  return (fn, ...args) => target.evaluate(fn, ...args);
+}
+
+/**
+ * Resolves the mask options of a screenshot from the defaults of the profile and the options given
+ * to `screenshot()`. The given options take precedence over the defaults.
+ * @param {Object} defaults - The screenshot options of the profile.
+ * @param {Object} opts
+ * @returns {Object} `{ hide: string[], mask: string[], maskColor: string, injectCss: string }`
+ */
+function resolveMaskOptions(defaults, opts) {
+  const resolved = {};
+  for (const key of maskOptionKeys) {
+    resolved[key] = opts[key] !== undefined ? opts[key] : defaults[key];
+  }
+  const isStrings = val => Array.isArray(val) && val.every(elem => typeof elem === "string");
+  for (const key of ["hide", "mask"]) {
+    if (resolved[key] === undefined) {
+      resolved[key] = [];
+    } else if (!isStrings(resolved[key])) {
+      throw new TypeError(`screenshot option '${key}' must be an array of selectors`);
+    }
+  }
+  for (const key of ["maskColor", "injectCss"]) {
+    if (resolved[key] !== undefined && typeof resolved[key] !== "string") {
+      throw new TypeError(`screenshot option '${key}' must be a string`);
+    }
+  }
+  return {
+    hide     : resolved.hide,
+    mask     : resolved.mask,
+    maskColor: resolved.maskColor !== undefined ? resolved.maskColor : defaultMaskColor,
+    injectCss: resolved.injectCss !== undefined ? resolved.injectCss : "",
+  };
+}
+
+/**
+ * Hides and masks elements and injects CSS in the page of a target.
+ * @param {Page|ElementHandle} target
+ * @param {Object} maskOpts - The result of `resolveMaskOptions()`.
+ * @returns {Promise<Function>} An asynchronous function that reverts the changes.
+ */
+async function applyMasks(target, maskOpts) {
+  const { hide, mask, maskColor, injectCss } = maskOpts;
+  if (hide.length === 0 && mask.length === 0 && injectCss === "") {
+    return async () => {};
+  }
+  applicationCount += 1;
+  const token = applicationCount.toString();
+  const evaluate = getEvaluate(target);
+  await evaluate(applyInPage, maskAttribute, token, hide, mask, maskColor, injectCss);
+  return async () => {
+    await evaluate(revertInPage, maskAttribute, token);
+  };
+}
+
+module.exports = {
+  maskOptionKeys,
+  getEvaluate,
+  resolveMaskOptions,
+  applyMasks,
+};
@@ -0,0 +1,258 @@
+"use strict";
+
+const fs = require("fs");
+const mkdirp = require("mkdirp");
+const path = require("path");
+const util = require("util");
+
+const { taskStatuses } = require("./tasks");
+
+const mkdirpAsync = util.promisify(mkdirp);
+const readFileAsync = util.promisify(fs.readFile);
+const writeFileAsync = util.promisify(fs.writeFile);
+
+/**
+ * @type {string}
+ */
+const reportFileName = "report.html";
+
+/**
+ * Escapes special characters in HTML.
+ * @param {*} val
+ * @returns {string}
+ */
+function escapeHtml(val) {
+  return String(val)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Converts a file path to a URL relative to the report file.
+ * @param {string} reportDirPath
+ * @param {string} filePath
+ * @returns {string}
+ */
+function toRelativeUrl(reportDirPath, filePath) {
+  return path.relative(reportDirPath, filePath)
+    .split(path.sep)
+    .map(encodeURIComponent)
+    .join("/");
+}
+
+/**
+ * @type {Map<string, string>}
+ */
+const mimeTypeByExt = new Map([
+  [".png", "image/png"],
+  [".jpg", "image/jpeg"],
+]);
+
+/**
+ * Converts the content of an image file to a data URI.
+ * @param {string} filePath
+ * @param {Buffer} content
+ * @returns {string}
+ */
+function toDataUri(filePath, content) {
+  const mimeType = mimeTypeByExt.get(path.extname(filePath).toLowerCase()) || "image/png";
+  return `data:${mimeType};base64,${content.toString("base64")}`;
+}
+
+/**
+ * @type {string}
+ */
+const style = `
+body { margin: 0 auto; max-width: 1200px; padding: 16px; font-family: sans-serif; color: #222; }
+h1 { font-size: 24px; }
+h2 { font-size: 18px; margin: 0; }
+h3 { font-size: 14px; margin: 0; }
+pre { overflow: auto; padding: 8px; background: #f4f4f4; font-size: 12px; }
+.summary span { margin-right: 16px; }
+.task { margin: 24px 0; padding: 16px; border: 1px solid #ddd; border-radius: 4px; }
+.run { margin-top: 12px; }
+.run-header { display: flex; align-items: center; gap: 12px; }
+.status { padding: 2px 8px; border-radius: 4px; color: #fff; font-size: 12px; }
+.status-passed { background: #2a8a3e; }
+.status-failed { background: #c62828; }
+.status-skipped { background: #888; }
+.duration { color: #777; font-size: 12px; }
+.gallery { display: flex; flex-wrap: wrap; gap: 16px; margin-top: 12px; }
+.gallery figure { margin: 0; width: 240px; }
+.gallery img { display: block; max-width: 240px; max-height: 180px; border: 1px solid #ddd; }
+.gallery figcaption { font-size: 12px; word-break: break-all; }
+.pdfs { margin: 12px 0 0; font-size: 14px; }
+`;
+
+/**
+ * Renders a run of a task (i.e. a task result).
+ * @param {string} reportDirPath
+ * @param {Map<string, Buffer>} images - The contents of the screenshot files.
+ * @param {Object} result
+ * @returns {string}
+ */
+function renderRun(reportDirPath, images, result) {
+  const lines = [];
+  lines.push("<div class=\"run\">");
+  lines.push("<div class=\"run-header\">");
+  if (result.viewport !== undefined) {
+    lines.push(`<h3>${escapeHtml(result.viewport)}</h3>`);
+  }
+  lines.push(`<span class="status status-${result.status}">${escapeHtml(result.status)}</span>`);
+  lines.push(`<span class="duration">${(result.duration / 1000).toFixed(2)} s</span>`);
+  lines.push("</div>");
+  if (result.status === taskStatuses.failed) {
+    const err = result.error;
+    lines.push(`<pre>${escapeHtml(err && err.stack ? err.stack : err)}</pre>`);
+  }
+  if (result.screenshots.length > 0) {
+    lines.push("<div class=\"gallery\">");
+    for (const filePath of result.screenshots) {
+      // images are embedded so that the report works on its own, unless they cannot be read
+      const src = images.has(filePath)
+        ? toDataUri(filePath, images.get(filePath))
+        : escapeHtml(toRelativeUrl(reportDirPath, filePath));
+      const name = escapeHtml(path.basename(filePath));
+      lines.push(
+        `<figure><img src="${src}" alt="${name}" loading="lazy">`
+        + `<figcaption>${name}</figcaption></figure>`
+      );
+    }
+    lines.push("</div>");
+  }
+  if (result.pdfs !== undefined && result.pdfs.length > 0) {
+    lines.push("<ul class=\"pdfs\">");
+    for (const filePath of result.pdfs) {
+      const url = escapeHtml(toRelativeUrl(reportDirPath, filePath));
+      const name = escapeHtml(path.basename(filePath));
+      lines.push(`<li><a href="${url}">${name}</a></li>`);
+    }
+    lines.push("</ul>");
+  }
+  lines.push("</div>");
+  return lines.join("\n");
+}
+
+/**
+ * Renders a section for a task file, containing its runs for each viewport.
+ * @param {string} reportDirPath
+ * @param {Map<string, Buffer>} images - The contents of the screenshot files.
+ * @param {string} taskFileName
+ * @param {Object[]} results - The results of the task file.
+ * @returns {string}
+ */
+function renderTask(reportDirPath, images, taskFileName, results) {
+  return [
+    "<section class=\"task\">",
+    `<h2>${escapeHtml(taskFileName)}</h2>`,
+    ...results.map(result => renderRun(reportDirPath, images, result)),
+    "</section>",
+  ].join("\n");
+}
+
+/**
+ * Groups task results by task file, keeping the order of their first appearance.
+ * @param {Object[]} results
+ * @returns {Map<string, Object[]>}
+ */
+function groupResultsByTaskFile(results) {
+  const groups = new Map();
+  for (const result of results) {
+    if (!groups.has(result.taskFileName)) {
+      groups.set(result.taskFileName, []);
+    }
+    groups.get(result.taskFileName).push(result);
+  }
+  return groups;
+}
+
+/**
+ * Renders an HTML report of a run.
+ * @param {Profile} profile
+ * @param {Object[]} results - The results of the tasks.
+ * @param {string} reportDirPath - The directory where the report is placed.
+ * @param {Date} date - The date of the run.
+ * @param {Map<string, Buffer>} [images] - The contents of the screenshot files, which are embedded
+ * in the report. Screenshots not contained are linked instead.
+ * @returns {string}
+ */
+function renderReport(profile, results, reportDirPath, date, images = new Map()) {
+  const passed = results.filter(result => result.status === taskStatuses.passed).length;
+  const failed = results.filter(result => result.status === taskStatuses.failed).length;
+  const skipped = results.filter(result => result.status === taskStatuses.skipped).length;
+  const title = `archerfish report: ${profile.name}`;
+  return [
+    "<!DOCTYPE html>",
+    "<html>",
+    "<head>",
+    "<meta charset=\"utf-8\">",
+    `<title>${escapeHtml(title)}</title>`,
+    `<style>${style}</style>`,
+    "</head>",
+    "<body>",
+    `<h1>${escapeHtml(title)}</h1>`,
+    "<p class=\"summary\">"
+    + `<span>${escapeHtml(date.toISOString())}</span>`
+    + `<span>${results.length} task(s)</span>`
+    + `<span>${passed} passed</span>`
+    + `<span>${failed} failed</span>`
+    + `<span>${skipped} skipped</span>`
+    + "</p>",
+    "<details>",
+    "<summary>Profile data</summary>",
+    `<pre>${escapeHtml(JSON.stringify(profile.data, null, 2))}</pre>`,
+    "</details>",
+    ...Array.from(groupResultsByTaskFile(results)).map(([taskFileName, taskResults]) =>
+      renderTask(reportDirPath, images, taskFileName, taskResults)
+    ),
+    "</body>",
+    "</html>",
+  ].join("\n") + "\n";
+}
+
+/**
+ * Reads the screenshot files of the results.
+ * @param {Object[]} results
+ * @returns {Promise<Map<string, Buffer>>} The contents of the files that can be read.
+ */
+async function readImages(results) {
+  const images = new Map();
+  for (const result of results) {
+    for (const filePath of result.screenshots) {
+      try {
+        images.set(filePath, await readFileAsync(filePath));
+      } catch (err) {
+        if (err.code !== "ENOENT") {
+          throw err;
+        }
+      }
+    }
+  }
+  return images;
+}
+
+/**
+ * Writes an HTML report of a run to the screenshots directory of the profile.
+ * The screenshots are embedded in the report, so that it can be published alone.
+ * @param {Profile} profile
+ * @param {Object[]} results - The results of the tasks.
+ * @returns {Promise<string>} The path to the written report file.
+ */
+async function writeReport(profile, results) {
+  const reportDirPath = profile.screenshotsDirPath();
+  const reportFilePath = path.resolve(reportDirPath, reportFileName);
+  const images = await readImages(results);
+  const content = renderReport(profile, results, reportDirPath, new Date(), images);
+  await mkdirpAsync(reportDirPath);
+  await writeFileAsync(reportFilePath, content, "utf8");
+  return reportFilePath;
+}
+
+module.exports = {
+  reportFileName,
+  renderReport,
+  writeReport,
+};
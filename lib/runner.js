@@ -0,0 +1,205 @@
+"use strict";
+
+const EventEmitter = require("events");
+const path = require("path");
+const puppeteer = require("puppeteer");
+
+const { findTasks, runTasks, summarizeResults, hookKeys, runHook } = require("./tasks");
+const { Config, Profile, configFileName } = require("./config");
+const { resolveLaunchOptions } = require("./browser");
+const { checkScreenshots } = require("./baselines");
+const { writeReport } = require("./report");
+const { writeManifest } = require("./manifest");
+const { detectChanges, logChanges, pruneScreenshots } = require("./changes");
+const { isPlainObject } = require("./utils");
+const { getLogger } = require("./logger");
+
+/**
+ * Runs tasks of a profile and emits events as tasks proceed.
+ *
+ * Events:
+ * - `taskStart`: `{ taskFilePath, taskFileName, viewport, attempt }`, on each attempt of a task.
+ * - `screenshot`: `{ taskFilePath, taskFileName, viewport, filePath, metadata }`, on each
+ *   screenshot written, where `metadata` is the entry of the manifest.
+ * - `pdf`: `{ taskFilePath, taskFileName, viewport, filePath }`, on each PDF written.
+ * - `taskEnd`: the result of a task.
+ */
+class Runner extends EventEmitter {
+  /**
+   * @param {Profile} profile
+   * @param {Object} [opts] - `{ browser?: Browser, logger?: Object }`
+   */
+  constructor(profile, opts = {}) {
+    super();
+    this._profile = profile;
+    this._browser = opts.browser;
+    this._logger = opts.logger || getLogger("cli");
+  }
+
+  /** @type {Profile} */
+  get profile() {
+    return this._profile;
+  }
+
+  /**
+   * Runs tasks.
+   * If no browser is given to the runner, a browser is launched for the run and closed after it.
+   * @param {string[]} [globs] - Globs relative to the tasks directory. All tasks are run if empty.
+   * @param {Object} [opts] - `{ maxConcurrency?: number, bail?: boolean, retries?: number,
+   * taskTimeout?: number, check?: boolean, report?: boolean, prune?: boolean, headful?: boolean,
+   * chromeArgs?: string[], executablePath?: string, slowMo?: number }`, where `prune` deletes
+   * stale screenshots (see `detectChanges()`), and the launch options are ignored if a browser is
+   * given to the runner.
+   * @returns {Promise<Object>} A summary of the run, containing `results` (the results of the
+   * tasks), `passed`, `failed`, `skipped` and `retried` (the numbers of tasks), `pdfs` (the number
+   * of PDF files written), `changes` (the result of `detectChanges()`), `manifestFilePath` (the
+   * path to the manifest of the screenshots), `check` (the result of the comparison against
+   * baselines, if enabled), `reportFilePath` (if enabled) and `ok` (whether all tasks passed and
+   * the check succeeded).
+   */
+  async run(globs = [], opts = {}) {
+    const profile = this._profile;
+    const logger = this._logger;
+    const matches = await findTasks(profile, globs);
+    const launched = this._browser === undefined;
+    let browser = this._browser;
+    if (launched) {
+      logger.trace("Launching browser...");
+      browser = await puppeteer.launch(resolveLaunchOptions(profile, opts));
+    }
+    let results;
+    try {
+      results = await runAll(profile, browser, matches, Object.assign({}, opts, {
+        logger: logger,
+        emit  : (event, data) => {
+          this.emit(event, data);
+        },
+      }));
+    } finally {
+      if (launched) {
+        logger.trace("Closing browser...");
+        await browser.close();
+      }
+    }
+    const summary = Object.assign({ results }, summarizeResults(results, logger));
+    // stale screenshots are detected only if all tasks are run and have written their screenshots
+    const complete = globs.length === 0 && summary.failed === 0 && summary.skipped === 0;
+    summary.changes = await detectChanges(profile, results, { stale: complete });
+    logChanges(summary.changes, logger);
+    if (opts.prune) {
+      if (summary.changes.stale !== null) {
+        await pruneScreenshots(profile, summary.changes.stale, logger);
+      } else {
+        logger.warn("Stale screenshots are not pruned since not all tasks have run successfully.");
+      }
+    }
+    summary.manifestFilePath = await writeManifest(profile, results);
+    logger.trace(`Manifest written: ${summary.manifestFilePath}`);
+    if (opts.report) {
+      summary.reportFilePath = await writeReport(profile, results);
+      logger.info(`Report written: ${summary.reportFilePath}`);
+    }
+    if (opts.check) {
+      summary.check = await checkScreenshots(profile, logger);
+    }
+    summary.ok = summary.failed === 0 && summary.skipped === 0
+      && (summary.check === undefined || summary.check.passed);
+    return summary;
+  }
+}
+
+/**
+ * Creates a runner.
+ * @param {Object} opts - `{ config: Config|Object, profile: Profile|string, rootDir?: string,
+ * browser?: Browser, logger?: Object }`, where `config` is a configuration or a raw configuration
+ * data, `profile` is a profile or a profile name, and `rootDir` is the root directory of the
+ * project used with a raw configuration data (default = the current working directory). If
+ * `browser` is given, tasks are run on it and it is not closed by the runner.
+ * @returns {Runner}
+ */
+function createRunner(opts) {
+  if (!isPlainObject(opts)) {
+    throw new TypeError("options must be an object");
+  }
+  const profile = resolveProfile(opts);
+  return new Runner(profile, {
+    browser: opts.browser,
+    logger : opts.logger,
+  });
+}
+
+/**
+ * Resolves the profile from options given to `createRunner()`.
+ * @param {Object} opts
+ * @returns {Profile}
+ */
+function resolveProfile(opts) {
+  if (opts.profile instanceof Profile) {
+    return opts.profile;
+  }
+  if (typeof opts.profile !== "string") {
+    throw new TypeError("'profile' must be a profile or a profile name");
+  }
+  Profile.assertNameValid(opts.profile);
+  let config;
+  if (opts.config instanceof Config) {
+    config = opts.config;
+  } else if (isPlainObject(opts.config)) {
+    const rootDirPath = path.resolve(opts.rootDir !== undefined ? opts.rootDir : process.cwd());
+    config = new Config(path.resolve(rootDirPath, configFileName), opts.config);
+  } else {
+    throw new TypeError("'config' must be a configuration or a configuration data");
+  }
+  return config.getProfile(opts.profile);
+}
+
+/**
+ * Runs tasks surrounded by the `beforeAll` and `afterAll` hooks.
+ * The `afterAll` hook is run even if the `beforeAll` hook has failed; in that case, an error thrown
+ * from the `afterAll` hook is only logged, and the original error is rethrown.
+ * @param {Profile} profile
+ * @param {Browser} browser
+ * @param {string[]} taskFilePaths - The paths to the task files.
+ * @param {Object} opts - `{ maxConcurrency?: number, bail?: boolean, retries?: number,
+ * taskTimeout?: number, logger?: Object, emit?: Function }`
+ * @returns {Promise<Object[]>} The results of the tasks.
+ */
+async function runAll(profile, browser, taskFilePaths, opts) {
+  const logger = opts.logger || getLogger("cli");
+  let failed = false;
+  let error = undefined;
+  let results = undefined;
+  try {
+    const registeredArgs = await runHook(profile, browser, hookKeys.beforeAll, true, { logger });
+    results = await runTasks(profile, browser, taskFilePaths, {
+      maxConcurrency: opts.maxConcurrency,
+      registeredArgs: registeredArgs,
+      bail          : opts.bail,
+      retries       : opts.retries,
+      taskTimeout   : opts.taskTimeout,
+      logger        : logger,
+      emit          : opts.emit,
+    });
+  } catch (err) {
+    failed = true;
+    error = err;
+  }
+  try {
+    await runHook(profile, browser, hookKeys.afterAll, false, { logger });
+  } catch (err) {
+    if (!failed) {
+      throw err;
+    }
+    logger.error(`afterAll hook failed:\n${err && err.stack ? err.stack : err}`);
+  }
+  if (failed) {
+    throw error;
+  }
+  return results;
+}
+
+module.exports = {
+  Runner,
+  createRunner,
+  runAll,
+};
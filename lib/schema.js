@@ -0,0 +1,720 @@
+"use strict";
+
+const { isObject, isPlainObject } = require("./utils");
+const { hookKeys } = require("./tasks");
+const { screenshotPathPlaceholders, getPlaceholders } = require("./screenshot");
+const { isStableOptions } = require("./stable");
+
+/**
+ * @param {*} val
+ * @returns {boolean}
+ */
+function isNumber(val) {
+  return typeof val === "number";
+}
+
+/**
+ * @param {*} val
+ * @returns {boolean}
+ */
+function isString(val) {
+  return typeof val === "string";
+}
+
+/**
+ * @param {*} val
+ * @returns {boolean}
+ */
+function isBoolean(val) {
+  return typeof val === "boolean";
+}
+
+/**
+ * @param {*} val
+ * @returns {boolean}
+ */
+function isCookie(val) {
+  // cookies are set on blank pages, so they must specify where they belong to
+  return isObject(val) && isString(val.name) && isString(val.value)
+    && (isString(val.url) || isString(val.domain));
+}
+
+/**
+ * Validators for the known launch options, which return `true` if a value is valid.
+ * Other options are passed to Puppeteer without validation.
+ * @type {Map<string, Object>}
+ */
+const launchOptionValidators = new Map([
+  ["headless", {
+    validate   : val => typeof val === "boolean",
+    description: "a boolean",
+  }],
+  ["args", {
+    validate   : val => Array.isArray(val) && val.every(arg => typeof arg === "string"),
+    description: "an array of strings",
+  }],
+  ["executablePath", {
+    validate   : val => typeof val === "string",
+    description: "a file path",
+  }],
+  ["defaultViewport", {
+    validate   : val => val === null || isObject(val),
+    description: "an object or null",
+  }],
+  ["userDataDir", {
+    validate   : val => typeof val === "string",
+    description: "a directory path",
+  }],
+  ["slowMo", {
+    validate   : val => typeof val === "number" && val >= 0,
+    description: "a non-negative number",
+  }],
+]);
+
+/**
+ * @type {string[]}
+ */
+const viewportKeys = [
+  "width",
+  "height",
+  "deviceScaleFactor",
+  "isMobile",
+  "hasTouch",
+  "isLandscape",
+];
+
+/**
+ * Validators for the page options, which return `true` if a value is valid.
+ * @type {Map<string, Object>}
+ */
+const pageOptionValidators = new Map([
+  ["viewport", {
+    validate   : val => isObject(val) && [val.width, val.height].every(isNumber),
+    description: "an object with width and height",
+  }],
+  ["userAgent", {
+    validate   : val => typeof val === "string",
+    description: "a string",
+  }],
+  ["extraHTTPHeaders", {
+    validate   : val => isPlainObject(val) && Object.values(val).every(isString),
+    description: "an object whose values are strings",
+  }],
+  ["cookies", {
+    validate   : val => Array.isArray(val) && val.every(isCookie),
+    description: "an array of objects with name, value, and url or domain",
+  }],
+  ["defaultNavigationTimeout", {
+    validate   : val => typeof val === "number" && val >= 0,
+    description: "a non-negative number",
+  }],
+]);
+
+/**
+ * Validators for the screenshot options, which return `true` if a value is valid.
+ * @type {Map<string, Object>}
+ */
+const screenshotOptionValidators = new Map([
+  ["hide", {
+    validate   : val => Array.isArray(val) && val.every(isString),
+    description: "an array of selectors",
+  }],
+  ["mask", {
+    validate   : val => Array.isArray(val) && val.every(isString),
+    description: "an array of selectors",
+  }],
+  ["maskColor", {
+    validate   : val => typeof val === "string",
+    description: "a color",
+  }],
+  ["injectCss", {
+    validate   : val => typeof val === "string",
+    description: "a string",
+  }],
+  ["stable", {
+    validate   : val => typeof val === "boolean" || isStableOptions(val),
+    description: "a boolean or an object with timeout, idleTime and frames",
+  }],
+]);
+
+/**
+ * @type {string[]}
+ */
+const marginKeys = ["top", "right", "bottom", "left"];
+
+/**
+ * @param {*} val
+ * @returns {boolean}
+ */
+function isMargin(val) {
+  return isPlainObject(val)
+    && Object.keys(val).every(key => marginKeys.includes(key))
+    && Object.values(val).every(side => isString(side) || isNumber(side));
+}
+
+/**
+ * Validators for the PDF options, which return `true` if a value is valid.
+ * @type {Map<string, Object>}
+ */
+const pdfOptionValidators = new Map([
+  ["format", {
+    validate   : val => typeof val === "string",
+    description: "a paper format e.g. 'A4'",
+  }],
+  ["landscape", {
+    validate   : val => typeof val === "boolean",
+    description: "a boolean",
+  }],
+  ["margin", {
+    validate   : isMargin,
+    description: "an object with top, right, bottom and left",
+  }],
+  ["printBackground", {
+    validate   : val => typeof val === "boolean",
+    description: "a boolean",
+  }],
+]);
+
+/**
+ * Validators for the scalar profile settings.
+ * @type {Map<string, Object>}
+ */
+const profileSettingValidators = new Map([
+  ["extends", {
+    validate   : isString,
+    description: "a profile name",
+  }],
+  ["threshold", {
+    validate   : val => typeof val === "number" && val >= 0 && val <= 1,
+    description: "a number between 0 and 1",
+  }],
+  ["retries", {
+    validate   : val => Number.isInteger(val) && val >= 0,
+    description: "a non-negative integer",
+  }],
+  ["retryDelay", {
+    validate   : val => typeof val === "number" && val >= 0,
+    description: "a non-negative number",
+  }],
+  ["taskTimeout", {
+    validate   : val => typeof val === "number" && val >= 0,
+    description: "a non-negative number",
+  }],
+  ["isolate", {
+    validate   : isBoolean,
+    description: "a boolean",
+  }],
+  ["screenshotsDir", {
+    validate   : val => isString(val) && getPlaceholders(val).every(key => key === "profile"),
+    description: "a directory path, optionally containing {profile}",
+  }],
+  ["screenshotPath", {
+    validate   : val => isString(val) && val !== "",
+    description: "a path template",
+  }],
+]);
+
+/**
+ * Profile names consist of alphanumeric words separated by `_`, where the words before the last `_`
+ * name the parent profile.
+ * @type {RegExp}
+ */
+const profileNamePattern = /^[A-Za-z0-9]+(_[A-Za-z0-9]+)*$/;
+
+/**
+ * @type {string[]}
+ */
+const profileKeys = [
+  ...profileSettingValidators.keys(),
+  "hooks",
+  "launch",
+  "viewports",
+  "page",
+  "screenshot",
+  "pdf",
+  "data",
+];
+
+/**
+ * @type {string[]}
+ */
+const viewportEntryKeys = ["name", "device", "userAgent", ...viewportKeys];
+
+/**
+ * @type {Object}
+ */
+const severities = Object.freeze({
+  error  : "error",
+  warning: "warning",
+});
+
+/**
+ * Formats a path to a value in a configuration data e.g. `profiles.foo.viewports[0].name`.
+ * @param {Array<string|number>} keys
+ * @returns {string}
+ */
+function formatPath(keys) {
+  let str = "";
+  for (const key of keys) {
+    if (typeof key === "number") {
+      str += `[${key}]`;
+    } else if (/^[A-Za-z_$][0-9A-Za-z_$]*$/.test(key)) {
+      str += str === "" ? key : `.${key}`;
+    } else {
+      str += `[${JSON.stringify(key)}]`;
+    }
+  }
+  return str;
+}
+
+/**
+ * Computes the edit distance between two strings.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function editDistance(a, b) {
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const curr = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1].toLowerCase() === b[j - 1].toLowerCase() ? 0 : 1;
+      curr.push(Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost));
+    }
+    prev = curr;
+  }
+  return prev[b.length];
+}
+
+/**
+ * Finds a known key similar to an unknown key.
+ * @param {string} key
+ * @param {string[]} knownKeys
+ * @returns {string|undefined}
+ */
+function findSimilarKey(key, knownKeys) {
+  let similarKey = undefined;
+  let minDistance = Math.min(2, Math.floor(key.length / 2));
+  for (const knownKey of knownKeys) {
+    const distance = editDistance(key, knownKey);
+    if (distance <= minDistance) {
+      similarKey = knownKey;
+      minDistance = distance;
+    }
+  }
+  return similarKey;
+}
+
+/**
+ * Validates a raw configuration data against the schema, collecting all the problems found.
+ * @param {*} data
+ * @returns {Object[]} The problems, each containing `severity` (one of `severities`), `keys` (the
+ * path to the value as an array), `path` (the formatted path) and `message`.
+ */
+function validateConfigData(data) {
+  const problems = [];
+  const report = (severity, keys, message) => {
+    problems.push({
+      severity: severity,
+      keys    : keys,
+      path    : formatPath(keys),
+      message : message,
+    });
+  };
+  if (!isPlainObject(data)) {
+    report(severities.error, [], "configuration must be an object");
+    return problems;
+  }
+  checkUnknownKeys(data, ["profiles"], [], report);
+  if (data["profiles"] === undefined) {
+    return problems;
+  }
+  if (!isPlainObject(data["profiles"])) {
+    report(severities.error, ["profiles"], "profiles must be an object");
+    return problems;
+  }
+  for (const name of Object.keys(data["profiles"])) {
+    const keys = ["profiles", name];
+    if (!profileNamePattern.test(name)) {
+      report(severities.error, keys, `invalid profile name: '${name}'`);
+    }
+    validateProfileData(data["profiles"][name], keys, report);
+    const baseName = isPlainObject(data["profiles"][name])
+      ? data["profiles"][name]["extends"]
+      : undefined;
+    if (typeof baseName === "string" && !isPlainObject(data["profiles"][baseName])) {
+      report(
+        severities.error,
+        keys.concat(["extends"]),
+        `extended profile '${baseName}' is not configured`
+      );
+    }
+  }
+  return problems;
+}
+
+/**
+ * Asserts validity of a raw profile data, which has been resolved by merging data of the profile it
+ * inherits from. Unknown keys are ignored.
+ * @param {string} name - The name of the profile.
+ * @param {*} profileData
+ * @returns {void}
+ * @throws {TypeError} If the data has an error; the first one is reported.
+ */
+function assertProfileDataValid(name, profileData) {
+  validateProfileData(profileData, [], (severity, keys, message) => {
+    if (severity === severities.error) {
+      const location = keys.length > 0 ? `${formatPath(keys)}: ` : "";
+      throw new TypeError(`invalid profile '${name}': ${location}${message}`);
+    }
+  });
+}
+
+/**
+ * Reports unknown keys of an object as warnings.
+ * @param {Object} obj
+ * @param {string[]} knownKeys
+ * @param {Array<string|number>} keys - The path to the object.
+ * @param {Function} report
+ * @returns {void}
+ */
+function checkUnknownKeys(obj, knownKeys, keys, report) {
+  for (const key of Object.keys(obj)) {
+    if (knownKeys.includes(key)) {
+      continue;
+    }
+    const similarKey = findSimilarKey(key, knownKeys);
+    const suggestion = similarKey !== undefined ? `; did you mean '${similarKey}'?` : "";
+    report(severities.warning, keys.concat([key]), `unknown key '${key}'${suggestion}`);
+  }
+}
+
+/**
+ * Validates a raw profile data.
+ * @param {*} profileData
+ * @param {Array<string|number>} keys - The path to the profile data.
+ * @param {Function} report
+ * @returns {void}
+ */
+function validateProfileData(profileData, keys, report) {
+  if (!isPlainObject(profileData)) {
+    report(severities.error, keys, "profile must be an object");
+    return;
+  }
+  checkUnknownKeys(profileData, profileKeys, keys, report);
+  for (const [key, validator] of profileSettingValidators) {
+    if (profileData[key] !== undefined && !validator.validate(profileData[key])) {
+      report(severities.error, keys.concat([key]), `${key} must be ${validator.description}`);
+    }
+  }
+  if (isString(profileData["screenshotPath"])) {
+    for (const placeholder of getPlaceholders(profileData["screenshotPath"])) {
+      if (!screenshotPathPlaceholders.includes(placeholder)) {
+        report(
+          severities.error,
+          keys.concat(["screenshotPath"]),
+          `unknown placeholder '{${placeholder}}' in screenshotPath`
+        );
+      }
+    }
+    const hasViewports = Array.isArray(profileData["viewports"])
+      && profileData["viewports"].length > 0;
+    if (hasViewports && !getPlaceholders(profileData["screenshotPath"]).includes("viewport")) {
+      // screenshots of the viewports are written to the same files
+      report(
+        severities.warning,
+        keys.concat(["screenshotPath"]),
+        "screenshotPath should contain '{viewport}' since viewports are configured"
+      );
+    }
+  }
+  validateHooks(profileData["hooks"], keys.concat(["hooks"]), report);
+  validateOptions(
+    profileData["launch"], launchOptionValidators, false, keys.concat(["launch"]), report
+  );
+  validateViewports(profileData["viewports"], keys.concat(["viewports"]), report);
+  validateOptions(
+    profileData["page"], pageOptionValidators, true, keys.concat(["page"]), report
+  );
+  validateOptions(
+    profileData["screenshot"], screenshotOptionValidators, true, keys.concat(["screenshot"]), report
+  );
+  validateOptions(
+    profileData["pdf"], pdfOptionValidators, true, keys.concat(["pdf"]), report
+  );
+}
+
+/**
+ * Validates hooks in a raw profile data.
+ * @param {*} hooks
+ * @param {Array<string|number>} keys
+ * @param {Function} report
+ * @returns {void}
+ */
+function validateHooks(hooks, keys, report) {
+  if (hooks === undefined) {
+    return;
+  }
+  if (!isPlainObject(hooks)) {
+    report(severities.error, keys, "hooks must be an object");
+    return;
+  }
+  const knownKeys = Object.values(hookKeys);
+  checkUnknownKeys(hooks, knownKeys, keys, report);
+  for (const key of knownKeys) {
+    if (hooks[key] !== undefined && typeof hooks[key] !== "string") {
+      report(severities.error, keys.concat([key]), `hook '${key}' must be a file path`);
+    }
+  }
+}
+
+/**
+ * Validates options (e.g. launch options) in a raw profile data.
+ * @param {*} opts
+ * @param {Map<string, Object>} validators
+ * @param {boolean} warnUnknownKeys
+ * @param {Array<string|number>} keys
+ * @param {Function} report
+ * @returns {void}
+ */
+function validateOptions(opts, validators, warnUnknownKeys, keys, report) {
+  if (opts === undefined) {
+    return;
+  }
+  const name = keys[keys.length - 1];
+  if (!isPlainObject(opts)) {
+    report(severities.error, keys, `${name} must be an object`);
+    return;
+  }
+  if (warnUnknownKeys) {
+    checkUnknownKeys(opts, Array.from(validators.keys()), keys, report);
+  }
+  for (const [key, validator] of validators) {
+    if (opts[key] !== undefined && !validator.validate(opts[key])) {
+      report(
+        severities.error,
+        keys.concat([key]),
+        `${name} option '${key}' must be ${validator.description}`
+      );
+    }
+  }
+}
+
+/**
+ * Validates viewports in a raw profile data.
+ * @param {*} viewports
+ * @param {Array<string|number>} keys
+ * @param {Function} report
+ * @returns {void}
+ */
+function validateViewports(viewports, keys, report) {
+  if (viewports === undefined) {
+    return;
+  }
+  if (!Array.isArray(viewports)) {
+    report(severities.error, keys, "viewports must be an array");
+    return;
+  }
+  const names = [];
+  for (const [i, entry] of viewports.entries()) {
+    const entryKeys = keys.concat([i]);
+    let name;
+    if (typeof entry === "string") {
+      name = entry.replace(/[^0-9A-Za-z_-]/g, "");
+      if (name === "") {
+        report(severities.error, entryKeys, `invalid device name '${entry}'`);
+      }
+    } else if (isPlainObject(entry)) {
+      checkUnknownKeys(entry, viewportEntryKeys, entryKeys, report);
+      name = entry["name"];
+      if (typeof name !== "string" || !/^[0-9A-Za-z_-]+$/.test(name)) {
+        report(
+          severities.error,
+          entryKeys.concat(["name"]),
+          "viewport name must consist of 0-9A-Za-z_-"
+        );
+      }
+      if (entry["device"] !== undefined && typeof entry["device"] !== "string") {
+        report(severities.error, entryKeys.concat(["device"]), "device must be a device name");
+      }
+      if (entry["device"] === undefined
+        && (typeof entry["width"] !== "number" || typeof entry["height"] !== "number")) {
+        report(severities.error, entryKeys, "viewport must have device or width and height");
+      }
+      if (entry["userAgent"] !== undefined && typeof entry["userAgent"] !== "string") {
+        report(severities.error, entryKeys.concat(["userAgent"]), "userAgent must be a string");
+      }
+      for (const key of viewportKeys) {
+        const validate = ["width", "height", "deviceScaleFactor"].includes(key)
+          ? isNumber
+          : isBoolean;
+        if (entry[key] !== undefined && !validate(entry[key])) {
+          const description = validate === isNumber ? "a number" : "a boolean";
+          report(severities.error, entryKeys.concat([key]), `${key} must be ${description}`);
+        }
+      }
+    } else {
+      report(severities.error, entryKeys, "viewport must be a device name or an object");
+    }
+    if (typeof name === "string" && name !== "") {
+      if (names.includes(name)) {
+        report(severities.error, entryKeys, `duplicate viewport name '${name}'`);
+      }
+      names.push(name);
+    }
+  }
+}
+
+/**
+ * Locates values in a JSON5 text, and returns the line numbers where they are.
+ * The text must be a valid JSON5 text.
+ * @param {string} content
+ * @returns {Map<string, number>} A map from formatted paths (see `formatPath()`) to 1-based line
+ * numbers. For object members, the line of the key is used.
+ */
+function locateJson5Paths(content) {
+  const lines = new Map();
+  let pos = 0;
+  let line = 1;
+  const advance = () => {
+    if (content[pos] === "\n") {
+      line += 1;
+    }
+    pos += 1;
+  };
+  const skipSpaces = () => {
+    while (pos < content.length) {
+      if (/\s/.test(content[pos])) {
+        advance();
+      } else if (content.startsWith("//", pos)) {
+        while (pos < content.length && content[pos] !== "\n") {
+          advance();
+        }
+      } else if (content.startsWith("/*", pos)) {
+        const end = content.indexOf("*/", pos + 2);
+        const length = (end >= 0 ? end + 2 : content.length) - pos;
+        for (let i = 0; i < length; i++) {
+          advance();
+        }
+      } else {
+        break;
+      }
+    }
+  };
+  const readString = () => {
+    const quote = content[pos];
+    let str = "";
+    advance();
+    while (pos < content.length && content[pos] !== quote) {
+      if (content[pos] === "\\") {
+        advance();
+      }
+      str += content[pos];
+      advance();
+    }
+    advance();
+    return str;
+  };
+  const readValue = keys => {
+    skipSpaces();
+    const c = content[pos];
+    if (c === "{") {
+      advance();
+      for (;;) {
+        skipSpaces();
+        if (pos >= content.length || content[pos] === "}") {
+          break;
+        }
+        const keyLine = line;
+        let key;
+        if (content[pos] === "\"" || content[pos] === "'") {
+          key = readString();
+        } else {
+          const start = pos;
+          while (pos < content.length && /[^\s:]/.test(content[pos])) {
+            advance();
+          }
+          key = content.slice(start, pos);
+        }
+        const memberKeys = keys.concat([key]);
+        lines.set(formatPath(memberKeys), keyLine);
+        skipSpaces();
+        advance(); // :
+        readValue(memberKeys);
+        skipSpaces();
+        if (content[pos] === ",") {
+          advance();
+        }
+      }
+      advance();
+    } else if (c === "[") {
+      advance();
+      for (let i = 0; ; i++) {
+        skipSpaces();
+        if (pos >= content.length || content[pos] === "]") {
+          break;
+        }
+        const elemKeys = keys.concat([i]);
+        lines.set(formatPath(elemKeys), line);
+        readValue(elemKeys);
+        skipSpaces();
+        if (content[pos] === ",") {
+          advance();
+        }
+      }
+      advance();
+    } else if (c === "\"" || c === "'") {
+      readString();
+    } else {
+      while (pos < content.length && /[^\s,\]}/]/.test(content[pos])) {
+        advance();
+      }
+    }
+  };
+  readValue([]);
+  return lines;
+}
+
+/**
+ * Finds the line of a value, or of its nearest ancestor if the value itself is not found.
+ * @param {Map<string, number>} lines - The result of `locateJson5Paths()`.
+ * @param {Array<string|number>} keys
+ * @returns {number|undefined}
+ */
+function findLine(lines, keys) {
+  for (let n = keys.length; n > 0; n--) {
+    const line = lines.get(formatPath(keys.slice(0, n)));
+    if (line !== undefined) {
+      return line;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Formats a problem found in a configuration file.
+ * @param {string} filePath
+ * @param {Object} problem - `{ severity: string, path: string, line?: number, message: string }`
+ * @returns {string}
+ */
+function formatProblem(filePath, problem) {
+  const location = problem.line !== undefined ? `${filePath}:${problem.line}` : filePath;
+  const target = problem.path !== "" ? ` ${problem.path}:` : "";
+  return `${location}:${target} ${problem.message}`;
+}
+
+module.exports = {
+  profileNamePattern,
+  launchOptionValidators,
+  viewportKeys,
+  pageOptionValidators,
+  screenshotOptionValidators,
+  pdfOptionValidators,
+  severities,
+  formatPath,
+  validateConfigData,
+  assertProfileDataValid,
+  locateJson5Paths,
+  findLine,
+  formatProblem,
+};
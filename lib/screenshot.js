@@ -4,22 +4,87 @@ const mkdirp = require("mkdirp");
 const path = require("path");
 const util = require("util");
 
+const { collectScreenshotMetadata } = require("./manifest");
+const { writeIfChanged } = require("./changes");
+const { maskOptionKeys, resolveMaskOptions, applyMasks } = require("./masks");
+const { stabilizingCss, resolveStableOptions, waitForStable } = require("./stable");
+
 const mkdirpAsync = util.promisify(mkdirp);
 
 const extByType = new Map([
   ["png", ".png"],
   ["jpeg", ".jpg"],
+  ["pdf", ".pdf"],
 ]);
 
+/**
+ * @type {string[]}
+ */
+const imageTypes = ["png", "jpeg"];
+
+/**
+ * Placeholders available in the `screenshotPath` template.
+ * @type {string[]}
+ */
+const screenshotPathPlaceholders = [
+  "profile",
+  "task",
+  "taskDir",
+  "taskName",
+  "name",
+  "index",
+  "viewport",
+  "date",
+  "ext",
+];
+
+/**
+ * Returns the placeholders used in a path template.
+ * @param {string} template
+ * @returns {string[]}
+ */
+function getPlaceholders(template) {
+  const matches = template.match(/\{[^{}]*\}/g) || [];
+  return matches.map(match => match.slice(1, -1));
+}
+
+/**
+ * Replaces placeholders in a path template with values.
+ * @param {string} template
+ * @param {Object} values
+ * @returns {string}
+ */
+function expandTemplate(template, values) {
+  return template.replace(/\{([^{}]*)\}/g, (placeholder, key) =>
+    Object.prototype.hasOwnProperty.call(values, key) ? values[key] : placeholder
+  );
+}
+
+/**
+ * Formats a date as `YYYY-MM-DD` in the local time.
+ * @param {Date} date
+ * @returns {string}
+ */
+function formatDate(date) {
+  const pad = num => num.toString().padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
 /**
  * @param {Profile} profile
  * @param {string} taskFilePath
+ * @param {string|undefined} viewportName
  * @returns {Function}
  */
-function generateScreenshotFilePath(profile, taskFilePath) {
+function generateScreenshotFilePath(profile, taskFilePath, viewportName) {
+  if (profile.screenshotPath !== undefined) {
+    return generateTemplatedScreenshotFilePath(profile, taskFilePath, viewportName);
+  }
   const taskFileName = path.relative(profile.tasksDirPath(), taskFilePath);
   const screenshotFileName = taskFileName.replace(/.js$/, "");
   const screenshotFilePathBase = path.resolve(profile.screenshotsDirPath(), screenshotFileName);
+  // screenshots for different viewports are placed side by side
+  const viewportSuffix = viewportName !== undefined ? "@" + viewportName : "";
   let counter = 0;
   // : (type: string, name: string | void) => string
   return (type, name) => {
@@ -34,30 +99,171 @@ function generateScreenshotFilePath(profile, taskFilePath) {
     } else {
       suffix = "-" + String(name).replace(/[^0-9A-Za-z_-]/g, "");
     }
-    return screenshotFilePathBase + suffix + ext;
+    return screenshotFilePathBase + suffix + viewportSuffix + ext;
+  };
+}
+
+/**
+ * Generates file paths of screenshots from the `screenshotPath` template of the profile.
+ * @param {Profile} profile
+ * @param {string} taskFilePath
+ * @param {string|undefined} viewportName
+ * @returns {Function}
+ */
+function generateTemplatedScreenshotFilePath(profile, taskFilePath, viewportName) {
+  const dirPath = profile.screenshotsDirPath();
+  const task = path.relative(profile.tasksDirPath(), taskFilePath).replace(/\.js$/, "");
+  const taskDir = path.dirname(task);
+  let index = 0;
+  // : (type: string, name: string | void) => string
+  return (type, name) => {
+    if (!extByType.has(type)) {
+      throw new Error(`unknown type '${type}'`);
+    }
+    const values = {
+      profile : profile.name,
+      task    : task,
+      taskDir : taskDir === "." ? "" : taskDir,
+      taskName: path.basename(task),
+      // characters that cannot be used in file names are replaced
+      name    : name === null || name === undefined
+        ? index.toString()
+        : String(name).replace(/[/\\:*?"<>|\x00-\x1F]/g, "_"),
+      index   : index.toString(),
+      viewport: viewportName !== undefined ? viewportName : "",
+      date    : formatDate(new Date()),
+      ext     : extByType.get(type).slice(1),
+    };
+    index += 1;
+    // empty placeholders may leave leading or empty segments (e.g. `{taskDir}/{name}.{ext}` for a
+    // task directly in the tasks directory), which are removed so that the path stays relative
+    const expandedPath = expandTemplate(profile.screenshotPath, values)
+      .split(/[/\\]/)
+      .filter(segment => segment !== "")
+      .join("/");
+    const filePath = path.resolve(dirPath, expandedPath);
+    const relPath = path.relative(dirPath, filePath);
+    const outside = relPath === ".." || relPath.startsWith(".." + path.sep);
+    if (relPath === "" || outside || path.isAbsolute(relPath)) {
+      throw new Error(`screenshot path '${filePath}' is outside the screenshots directory`);
+    }
+    return filePath;
   };
 }
 
 /**
  * Generates a function that takes a screenshot of a page or an element.
+ * Elements can be hidden or masked and CSS can be injected just before taking a screenshot, by the
+ * options `hide`, `mask`, `maskColor` and `injectCss` (defaulting to the screenshot options of the
+ * profile). The changes are reverted after the screenshot is taken.
+ * If the option `stable` is enabled, animations are disabled and the page is waited to become
+ * stable (see `waitForStable()`) before the elements are hidden or masked.
+ * If the option `selector` is given and the target is a page, a screenshot of the first element
+ * that matches the selector is taken.
+ * A screenshot file is not rewritten if its content is unchanged (see `writeIfChanged()`). After
+ * that, its metadata (see `collectScreenshotMetadata()`) is passed to `onWrite`.
  * @param {Profile} profile
  * @param {string} taskFilePath
+ * @param {Object} [funOpts] - `{ viewport?: string, onWrite?: (filePath: string, metadata: Object)
+ * => void }`, where `viewport` is the name of the viewport for which the task is run.
  * @returns {Function}
  */
-function generateScreenshotFun(profile, taskFilePath) {
-  const genFilePath = generateScreenshotFilePath(profile, taskFilePath);
+function generateScreenshotFun(profile, taskFilePath, funOpts = {}) {
+  const genFilePath = generateScreenshotFilePath(profile, taskFilePath, funOpts.viewport);
   // : (target: Page | Element, name?: string | void, opts?: Obeject) => Promise<void>
   return async (target, name, opts = {}) => {
     const type = typeof opts.type === "string" ? opts.type : "png";
+    if (!imageTypes.includes(type)) {
+      throw new Error(`unknown type '${type}'`);
+    }
+    const maskOpts = resolveMaskOptions(profile.screenshot, opts);
+    const stableOpts = resolveStableOptions(profile.screenshot.stable, opts.stable);
+    const { selector } = opts;
+    if (selector !== undefined && typeof selector !== "string") {
+      throw new TypeError("screenshot option 'selector' must be a string");
+    }
+    const screenshotOpts = Object.assign({}, opts);
+    // the file is written by writeIfChanged(), which requires the content as a buffer
+    for (const key of [...maskOptionKeys, "stable", "selector", "path", "encoding"]) {
+      delete screenshotOpts[key];
+    }
+    let captureTarget = target;
+    if (selector !== undefined && typeof target.$ === "function") {
+      captureTarget = await target.$(selector);
+      if (captureTarget === null) {
+        throw new Error(`no element matches selector '${selector}'`);
+      }
+    }
     const filePath = genFilePath(type, name);
     await mkdirpAsync(path.dirname(filePath));
-    await target.screenshot(Object.assign({}, opts, {
-      type: type,
+    // masks are placed after the page has become stable, since they are positioned by the layout
+    let revertStabilizing = async () => {};
+    let revertMasks = async () => {};
+    let content = undefined;
+    try {
+      if (stableOpts !== undefined) {
+        revertStabilizing = await applyMasks(target, {
+          hide     : [],
+          mask     : [],
+          maskColor: maskOpts.maskColor,
+          injectCss: stabilizingCss,
+        });
+        await waitForStable(target, stableOpts);
+      }
+      revertMasks = await applyMasks(target, maskOpts);
+      content = await captureTarget.screenshot(Object.assign(screenshotOpts, {
+        type: type,
+      }));
+    } finally {
+      await revertMasks();
+      await revertStabilizing();
+    }
+    const change = await writeIfChanged(filePath, content);
+    if (funOpts.onWrite) {
+      // the target is passed rather than the captured element, so that the viewport of the page
+      // can be read
+      const metadata = await collectScreenshotMetadata(target, filePath, content, {
+        profile,
+        taskFilePath,
+        name,
+        viewport: funOpts.viewport,
+        selector,
+        change,
+      });
+      funOpts.onWrite(filePath, metadata);
+    }
+  };
+}
+
+/**
+ * Generates a function that saves a page as a PDF.
+ * PDF files are named in the same way as screenshots, and the PDF options of the profile are used
+ * as defaults.
+ * @param {Profile} profile
+ * @param {string} taskFilePath
+ * @param {Object} [funOpts] - `{ viewport?: string, onWrite?: (filePath: string) => void }`, where
+ * `viewport` is the name of the viewport for which the task is run.
+ * @returns {Function}
+ */
+function generatePdfFun(profile, taskFilePath, funOpts = {}) {
+  const genFilePath = generateScreenshotFilePath(profile, taskFilePath, funOpts.viewport);
+  // : (page: Page, name?: string | void, opts?: Obeject) => Promise<void>
+  return async (page, name, opts = {}) => {
+    const filePath = genFilePath("pdf", name);
+    await mkdirpAsync(path.dirname(filePath));
+    await page.pdf(Object.assign({}, profile.pdf, opts, {
       path: filePath,
     }));
+    if (funOpts.onWrite) {
+      funOpts.onWrite(filePath);
+    }
   };
 }
 
 module.exports = {
+  screenshotPathPlaceholders,
+  getPlaceholders,
+  expandTemplate,
   generateScreenshotFun,
+  generatePdfFun,
 };
@@ -0,0 +1,193 @@
+"use strict";
+
+/* global document, window */
+
+const { getEvaluate } = require("./masks");
+const { isPlainObject } = require("./utils");
+
+/**
+ * CSS that disables animations, transitions and the text caret.
+ * @type {string}
+ */
+const stabilizingCss = [
+  "*, *::before, *::after {",
+  "  animation: none !important;",
+  "  transition: none !important;",
+  "  caret-color: transparent !important;",
+  "}",
+].join("\n");
+
+/**
+ * Defaults of the stabilization options.
+ * @type {Object}
+ */
+const defaultStableOptions = Object.freeze({
+  timeout : 10000,
+  idleTime: 500,
+  frames  : 3,
+});
+
+/**
+ * Resolves the stabilization options of a screenshot.
+ * @param {boolean|Object|undefined} defaults - The `stable` screenshot option of the profile.
+ * @param {boolean|Object|undefined} stable - The `stable` option given to `screenshot()`, which
+ * takes precedence over the default.
+ * @returns {Object|undefined} `{ timeout: number, idleTime: number, frames: number }`, or
+ * `undefined` if stabilization is disabled.
+ */
+function resolveStableOptions(defaults, stable) {
+  const val = stable !== undefined ? stable : defaults;
+  if (val === undefined || val === false) {
+    return undefined;
+  }
+  if (val === true) {
+    return Object.assign({}, defaultStableOptions);
+  }
+  if (!isStableOptions(val)) {
+    throw new TypeError(
+      "screenshot option 'stable' must be a boolean or an object with timeout, idleTime and frames"
+    );
+  }
+  return Object.assign({}, defaultStableOptions, val);
+}
+
+/**
+ * @param {*} val
+ * @returns {boolean}
+ */
+function isStableOptions(val) {
+  return isPlainObject(val)
+    && Object.keys(val).every(key =>
+      Object.prototype.hasOwnProperty.call(defaultStableOptions, key)
+      && typeof val[key] === "number" && val[key] >= 0
+    );
+}
+
+/**
+ * Waits until no network requests are made by a page for a while.
+ * Requests that have already been in flight are ignored unless they finish while waiting.
+ * @param {Page} page
+ * @param {number} idleTime - The duration (in milliseconds) without network activity.
+ * @param {number} timeout
+ * @returns {Promise<void>}
+ */
+function waitForNetworkIdle(page, idleTime, timeout) {
+  return new Promise((resolve, reject) => {
+    const inflight = new Set();
+    let idleTimer = undefined;
+    let timeoutTimer = undefined;
+    let onRequest = undefined;
+    let onDone = undefined;
+    const cleanup = () => {
+      clearTimeout(idleTimer);
+      clearTimeout(timeoutTimer);
+      page.removeListener("request", onRequest);
+      page.removeListener("requestfinished", onDone);
+      page.removeListener("requestfailed", onDone);
+    };
+    const check = () => {
+      clearTimeout(idleTimer);
+      if (inflight.size === 0) {
+        idleTimer = setTimeout(() => {
+          cleanup();
+          resolve();
+        }, idleTime);
+      }
+    };
+    onRequest = req => {
+      inflight.add(req);
+      check();
+    };
+    onDone = req => {
+      inflight.delete(req);
+      check();
+    };
+    timeoutTimer = setTimeout(() => {
+      cleanup();
+      reject(new Error(`network did not become idle within ${timeout} ms`));
+    }, timeout);
+    page.on("request", onRequest);
+    page.on("requestfinished", onDone);
+    page.on("requestfailed", onDone);
+    check();
+  });
+}
+
+/**
+ * Runs in the browser: waits for web fonts and images, then waits until the layout is unchanged
+ * across consecutive animation frames.
+ * @param {number} frames
+ * @param {number} timeout
+ * @returns {Promise<boolean>} `false` if timed out.
+ */
+async function waitInPage(frames, timeout) {
+  const start = window.performance.now();
+  const remaining = () => Math.max(0, timeout - (window.performance.now() - start));
+  const withinTimeout = promise => Promise.race([
+    promise.then(() => true),
+    new Promise(resolve => window.setTimeout(() => resolve(false), remaining())),
+  ]);
+  const loaded = Promise.all([
+    document.fonts ? document.fonts.ready : undefined,
+    ...Array.from(document.images, img => {
+      if (img.complete) {
+        return img.decode ? img.decode().catch(() => {}) : undefined;
+      }
+      return new Promise(resolve => {
+        img.addEventListener("load", resolve, { once: true });
+        img.addEventListener("error", resolve, { once: true });
+      });
+    }),
+  ]);
+  if (!await withinTimeout(loaded)) {
+    return false;
+  }
+  const nextFrame = () => new Promise(resolve => window.requestAnimationFrame(resolve));
+  const measure = () => {
+    const values = [document.documentElement.scrollWidth, document.documentElement.scrollHeight];
+    for (const elem of document.querySelectorAll("body *")) {
+      const rect = elem.getBoundingClientRect();
+      values.push(rect.left, rect.top, rect.width, rect.height);
+    }
+    return values.join(",");
+  };
+  let prev = measure();
+  let count = 0;
+  while (count < frames) {
+    if (remaining() === 0) {
+      return false;
+    }
+    await nextFrame();
+    const curr = measure();
+    count = curr === prev ? count + 1 : 0;
+    prev = curr;
+  }
+  return true;
+}
+
+/**
+ * Waits until the page of a target becomes stable: the network is idle (only if the target is a
+ * page), web fonts are loaded, images are decoded, and the layout is stable.
+ * @param {Page|ElementHandle} target
+ * @param {Object} stableOpts - The result of `resolveStableOptions()`.
+ * @returns {Promise<void>}
+ */
+async function waitForStable(target, stableOpts) {
+  const { timeout, idleTime, frames } = stableOpts;
+  const start = Date.now();
+  if (idleTime > 0 && typeof target.on === "function") {
+    await waitForNetworkIdle(target, idleTime, timeout);
+  }
+  const remaining = Math.max(0, timeout - (Date.now() - start));
+  const stable = await getEvaluate(target)(waitInPage, frames, remaining);
+  if (stable === false) {
+    throw new Error(`page did not become stable within ${timeout} ms`);
+  }
+}
+
+module.exports = {
+  stabilizingCss,
+  isStableOptions,
+  resolveStableOptions,
+  waitForStable,
+};
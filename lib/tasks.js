@@ -5,7 +5,8 @@ const path = require("path");
 const util = require("util");
 
 const { isObject } = require("./utils");
-const { generateScreenshotFun } = require("./screenshot");
+const { resolveViewport, createTaskBrowser, closeContext } = require("./browser");
+const { generateScreenshotFun, generatePdfFun } = require("./screenshot");
 const { sleep } = require("./sleep");
 const { getLogger } = require("./logger");
 
@@ -54,84 +55,460 @@ function distinct(arr) {
   return arr.filter((elem, i) => arr.indexOf(elem) === i);
 }
 
+/**
+ * @type {Object}
+ */
+const taskStatuses = Object.freeze({
+  passed : "passed",
+  failed : "failed",
+  skipped: "skipped",
+});
+
+/**
+ * @type {Object}
+ */
+const hookKeys = Object.freeze({
+  beforeAll : "beforeAll",
+  afterAll  : "afterAll",
+  beforeEach: "beforeEach",
+  afterEach : "afterEach",
+});
+
 /**
  * Runs all tasks.
+ * If the profile has viewports, each task is run once per viewport.
  * @param {Profile} profile
  * @param {Browser} browser
  * @param {string[]} taskFilePaths - The paths to the task files.
- * @param {Object} opts - `{ maxConcurrency?: number, registeredArgs?: Object }`
- * @returns {Promise<void>}
+ * @param {Object} opts - `{ maxConcurrency?: number, registeredArgs?: Object, bail?: boolean,
+ * retries?: number, taskTimeout?: number, logger?: Object, emit?: Function }`, where `emit` is
+ * called with an event name and data as tasks proceed (see `runTask()`).
+ * @returns {Promise<Object[]>} The results of the tasks, in the same order as `taskFilePaths`
+ * (and the viewports).
  */
 async function runTasks(profile, browser, taskFilePaths, opts) {
-  const logger = getLogger("cli");
+  const logger = opts.logger || getLogger("cli");
+  const jobs = createJobs(profile, taskFilePaths);
   const concurrency = Math.min(
-    taskFilePaths.length,
+    jobs.length,
     Number.isInteger(opts.maxConcurrency) && opts.maxConcurrency > 0 ? opts.maxConcurrency : 1
   );
   logger.trace(`Runing tasks... (concurrency = ${concurrency})`);
   const workers = [];
-  const queue = taskFilePaths.slice();
-  const registeredArgs = opts.registeredArgs || {};
+  const state = {
+    queue         : jobs.slice(),
+    profile       : profile,
+    browser       : browser,
+    registeredArgs: opts.registeredArgs || {},
+    bail          : !!opts.bail,
+    retries       : opts.retries,
+    taskTimeout   : opts.taskTimeout,
+    logger        : logger,
+    emit          : opts.emit,
+    skipped       : [],
+    results       : new Map(),
+  };
   for (let i = 0; i < concurrency; i++) {
-    workers.push(startWorker(queue, profile, browser, registeredArgs));
+    workers.push(startWorker(state));
   }
   await Promise.all(workers);
-  logger.info("All tasks finished!");
+  if (state.skipped.length > 0) {
+    logger.warn(`Bailed out after a task failure; ${state.skipped.length} task(s) skipped.`);
+  } else {
+    logger.info("All tasks finished!");
+  }
+  return jobs.map(job =>
+    state.results.has(job)
+      ? state.results.get(job)
+      : createSkippedResult(profile, job)
+  );
 }
 
 /**
- * Starts a concurrent worker that consumes task file paths from the queue and runs tasks.
- * @param {string[]} queue
+ * Creates jobs (pairs of a task file path and a resolved viewport) in execution order: each task is
+ * run for each viewport of the profile.
  * @param {Profile} profile
- * @param {Browser} browser
- * @param {Object} registeredArgs
+ * @param {string[]} taskFilePaths
+ * @returns {Object[]} `{ taskFilePath: string, viewport?: Object }`
+ */
+function createJobs(profile, taskFilePaths) {
+  const viewports = profile.viewports.length > 0
+    ? profile.viewports.map(resolveViewport)
+    : [undefined];
+  const jobs = [];
+  for (const taskFilePath of taskFilePaths) {
+    for (const viewport of viewports) {
+      jobs.push({ taskFilePath, viewport });
+    }
+  }
+  return jobs;
+}
+
+/**
+ * Starts a concurrent worker that consumes jobs (pairs of a task file path and a viewport) from the
+ * queue and runs tasks.
+ * @param {Object} state - The state shared by all workers.
  * @returns {Promise<void>}
  */
-async function startWorker(queue, profile, browser, registeredArgs) {
-  while (queue.length > 0) {
-    const taskFilePath = queue.pop();
-    await runTask(profile, browser, taskFilePath, registeredArgs);
+async function startWorker(state) {
+  while (state.queue.length > 0) {
+    const job = state.queue.shift();
+    const { profile, browser, registeredArgs } = state;
+    const result = await runTask(profile, browser, job.taskFilePath, registeredArgs, {
+      retries    : state.retries,
+      taskTimeout: state.taskTimeout,
+      viewport   : job.viewport,
+      logger     : state.logger,
+      emit       : state.emit,
+    });
+    state.results.set(job, result);
+    if (state.bail && result.status === taskStatuses.failed) {
+      // stop dequeuing; the remaining tasks are skipped
+      Array.prototype.push.apply(state.skipped, state.queue.splice(0));
+    }
   }
 }
 
 /**
- * Runs single task.
+ * Creates a result of a task that has not been run.
+ * @param {Profile} profile
+ * @param {Object} job - `{ taskFilePath: string, viewport?: Object }`
+ * @returns {Object}
+ */
+function createSkippedResult(profile, job) {
+  return {
+    taskFilePath: job.taskFilePath,
+    taskFileName: path.relative(profile.tasksDirPath(), job.taskFilePath),
+    viewport    : job.viewport !== undefined ? job.viewport.name : undefined,
+    status      : taskStatuses.skipped,
+    error       : undefined,
+    duration    : 0,
+    attempts    : 0,
+    screenshots : [],
+    captures    : [],
+    pdfs        : [],
+  };
+}
+
+/**
+ * Returns a label of a task run for a viewport, used in logs and reports.
+ * @param {string} taskFileName
+ * @param {string|undefined} viewportName
+ * @returns {string}
+ */
+function getTaskLabel(taskFileName, viewportName) {
+  return viewportName !== undefined ? `${taskFileName} @ ${viewportName}` : taskFileName;
+}
+
+/**
+ * Summarizes the results of tasks and logs it.
+ * @param {Object[]} results
+ * @param {Object} [logger]
+ * @returns {Object} `{ passed: number, failed: number, skipped: number, retried: number,
+ * pdfs: number }`, where `retried` is the number of tasks passed only after a retry, and `pdfs` is
+ * the number of PDF files written.
+ */
+function summarizeResults(results, logger = getLogger("cli")) {
+  const retriedResults = results.filter(result =>
+    result.status === taskStatuses.passed && result.attempts > 1
+  );
+  const summary = {
+    passed : results.filter(result => result.status === taskStatuses.passed).length,
+    failed : results.filter(result => result.status === taskStatuses.failed).length,
+    skipped: results.filter(result => result.status === taskStatuses.skipped).length,
+    retried: retriedResults.length,
+    pdfs   : results.reduce((count, result) => count + result.pdfs.length, 0),
+  };
+  if (retriedResults.length > 0) {
+    const retriedTaskFileNames = retriedResults.map(result => {
+      const label = getTaskLabel(result.taskFileName, result.viewport);
+      return `  ${label} (${result.attempts} attempts)`;
+    });
+    logger.warn(["Tasks passed only after a retry:", ...retriedTaskFileNames].join("\n"));
+  }
+  const message = `${results.length} task(s): ${summary.passed} passed, ${summary.failed} failed,`
+    + ` ${summary.skipped} skipped`
+    + (summary.pdfs > 0 ? ` (${summary.pdfs} PDF(s) written)` : "");
+  if (summary.failed > 0) {
+    const failedTaskFileNames = results
+      .filter(result => result.status === taskStatuses.failed)
+      .map(result => `  ${getTaskLabel(result.taskFileName, result.viewport)}`);
+    logger.error([message, "Failed tasks:", ...failedTaskFileNames].join("\n"));
+  } else {
+    logger.info(message);
+  }
+  return summary;
+}
+
+/**
+ * Runs single task, retrying it if failed.
  * @param {Profile} profile
  * @param {Browser} browser
  * @param {string} taskFilePath - The path to the task file.
  * @param {Object} registeredArgs
+ * @param {Object} opts - `{ retries?: number, taskTimeout?: number, viewport?: Object,
+ * logger?: Object, emit?: Function }`, where `retries` and `taskTimeout` override the settings of
+ * the profile, `viewport` is a resolved viewport that pages opened by the task emulate, and `emit`
+ * is called with `"taskStart"` (on each attempt), `"screenshot"` (on each screenshot written),
+ * `"pdf"` (on each PDF written) and `"taskEnd"` (with the result) events.
+ * @returns {Promise<Object>} The result of the task, containing `taskFilePath`, `taskFileName`,
+ * `viewport` (the name of the viewport), `status` (one of `taskStatuses`), `error`, `duration`
+ * (in milliseconds), `attempts`, `screenshots` and `pdfs` (the paths to the screenshot and PDF
+ * files written in the last attempt) and `captures` (the metadata of the screenshots, listed in the
+ * manifest).
+ */
+async function runTask(profile, browser, taskFilePath, registeredArgs, opts = {}) {
+  const logger = opts.logger || getLogger("cli");
+  const emit = opts.emit || (() => {});
+  const taskFileName = path.relative(profile.tasksDirPath(), taskFilePath);
+  const viewportName = opts.viewport !== undefined ? opts.viewport.name : undefined;
+  const retries = Number.isInteger(opts.retries) && opts.retries >= 0
+    ? opts.retries
+    : profile.retries;
+  const maxAttempts = retries + 1;
+  const result = {
+    taskFilePath: taskFilePath,
+    taskFileName: taskFileName,
+    viewport    : viewportName,
+    status      : taskStatuses.passed,
+    error       : undefined,
+    duration    : 0,
+    attempts    : 0,
+    screenshots : [],
+    captures    : [],
+    pdfs        : [],
+  };
+  const label = getTaskLabel(taskFileName, viewportName);
+  const startTime = Date.now();
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    if (attempt === 1) {
+      logger.trace(`Runing task: ${label}`);
+    } else {
+      const delay = profile.retryDelay * Math.pow(2, attempt - 2);
+      logger.info(
+        `Retrying task '${label}' in ${delay} ms... (attempt ${attempt}/${maxAttempts})`
+      );
+      await sleep(delay);
+    }
+    result.attempts = attempt;
+    result.screenshots = [];
+    result.captures = [];
+    result.pdfs = [];
+    emit("taskStart", { taskFilePath, taskFileName, viewport: viewportName, attempt });
+    // a timed out attempt may keep running in the background; its writes are ignored after it has
+    // been abandoned, so that they are not mixed into the result of the next attempt
+    const current = { active: true };
+    try {
+      const task = require(taskFilePath);
+      const context = isTaskIsolated(profile, task)
+        ? await browser.createIncognitoBrowserContext()
+        : undefined;
+      const taskBrowser = createTaskBrowser(context !== undefined ? context : browser, {
+        viewport: opts.viewport,
+        page    : profile.page,
+      });
+      try {
+        await runAttempt(profile, taskBrowser, taskFilePath, task, registeredArgs, {
+          taskTimeout: opts.taskTimeout,
+          viewport   : opts.viewport,
+          logger     : logger,
+          onWrite    : (filePath, metadata) => {
+            if (!current.active) {
+              return;
+            }
+            result.screenshots.push(filePath);
+            result.captures.push(metadata);
+            emit("screenshot", {
+              taskFilePath,
+              taskFileName,
+              viewport: viewportName,
+              filePath,
+              metadata,
+            });
+          },
+          onPdfWrite: filePath => {
+            if (!current.active) {
+              return;
+            }
+            result.pdfs.push(filePath);
+            emit("pdf", { taskFilePath, taskFileName, viewport: viewportName, filePath });
+          },
+        });
+      } finally {
+        current.active = false;
+        if (context !== undefined) {
+          await closeContext(context);
+        }
+      }
+      result.status = taskStatuses.passed;
+      result.error = undefined;
+      break;
+    } catch (err) {
+      result.status = taskStatuses.failed;
+      result.error = err;
+      const attemptInfo = maxAttempts > 1 ? ` (attempt ${attempt}/${maxAttempts})` : "";
+      if (err && err.stack) {
+        logger.error(`Task '${label}' failed${attemptInfo}:\n${err.stack}`);
+      } else {
+        logger.error(`Task '${label}' failed${attemptInfo}:\n${err}`);
+      }
+    }
+  }
+  result.duration = Date.now() - startTime;
+  emit("taskEnd", result);
+  return result;
+}
+
+/**
+ * Runs single attempt of a task, surrounded by the `beforeEach` and `afterEach` hooks.
+ * The `afterEach` hook is run even if the `beforeEach` hook or the task has failed; in that case,
+ * an error thrown from the `afterEach` hook is only logged, and the original error is rethrown.
+ * @param {Profile} profile
+ * @param {Object} taskBrowser - A browser scoped to the task, created by `createTaskBrowser()`.
+ * @param {string} taskFilePath - The path to the task file.
+ * @param {Function} task - The task function exported from the task file.
+ * @param {Object} registeredArgs
+ * @param {Object} opts - `{ taskTimeout?: number, viewport?: Object, logger?: Object,
+ * onWrite: Function, onPdfWrite: Function }`
  * @returns {Promise<void>}
  */
-async function runTask(profile, browser, taskFilePath, registeredArgs) {
-  const logger = getLogger("cli");
+async function runAttempt(profile, taskBrowser, taskFilePath, task, registeredArgs, opts) {
+  const logger = opts.logger || getLogger("cli");
   const taskFileName = path.relative(profile.tasksDirPath(), taskFilePath);
-  logger.trace(`Runing task: ${taskFileName}`);
+  const viewportName = opts.viewport !== undefined ? opts.viewport.name : undefined;
+  const hookArgs = {
+    taskFileName  : taskFileName,
+    viewport      : opts.viewport,
+    registeredArgs: registeredArgs,
+  };
+  let failed = false;
+  let error = undefined;
   try {
-    const task = require(taskFilePath);
+    const eachArgs = await runHook(profile, taskBrowser.browser, hookKeys.beforeEach, true, {
+      args  : hookArgs,
+      logger: logger,
+    });
+    hookArgs.registeredArgs = Object.assign({}, registeredArgs, eachArgs);
     const args = Object.assign({
       profile   : profile,
-      browser   : browser,
+      browser   : taskBrowser.browser,
+      newPage   : taskBrowser.newPage,
       getLogger : getLogger,
       sleep     : sleep,
-      screenshot: generateScreenshotFun(profile, taskFilePath),
-    }, registeredArgs);
-    await task(args);
+      viewport  : opts.viewport,
+      screenshot: generateScreenshotFun(profile, taskFilePath, {
+        viewport: viewportName,
+        onWrite : opts.onWrite,
+      }),
+      pdf: generatePdfFun(profile, taskFilePath, {
+        viewport: viewportName,
+        onWrite : opts.onPdfWrite,
+      }),
+    }, hookArgs.registeredArgs);
+    const timeout = getTaskTimeout(profile, task, opts);
+    try {
+      await runWithTimeout(task(args), timeout);
+    } catch (err) {
+      if (err instanceof TaskTimeoutError) {
+        await taskBrowser.closePages();
+      }
+      throw err;
+    } finally {
+      await taskBrowser.closeManagedPages();
+    }
   } catch (err) {
-    if (err && err.stack) {
-      logger.error(`Task '${taskFileName}' failed:\n${err.stack}`);
-    } else {
-      logger.error(`Task '${taskFileName}' failed:\n${err}`);
+    failed = true;
+    error = err;
+  }
+  try {
+    await runHook(profile, taskBrowser.browser, hookKeys.afterEach, false, {
+      args  : Object.assign({ error }, hookArgs),
+      logger: logger,
+    });
+  } catch (err) {
+    if (!failed) {
+      throw err;
     }
+    const label = getTaskLabel(taskFileName, viewportName);
+    logger.error(`afterEach hook for '${label}' failed:\n${err && err.stack ? err.stack : err}`);
+  }
+  if (failed) {
+    throw error;
   }
 }
 
 /**
- * @type {Object}
+ * Determines whether a task is run in its own incognito browser context.
+ * An `isolate` exported from the task module takes precedence over the profile.
+ * @param {Profile} profile
+ * @param {Function} task
+ * @returns {boolean}
  */
-const hookKeys = Object.freeze({
-  beforeAll: "beforeAll",
-  afterAll : "afterAll",
-});
+function isTaskIsolated(profile, task) {
+  if (task.isolate !== undefined) {
+    if (typeof task.isolate !== "boolean") {
+      throw new TypeError("'isolate' exported from a task must be a boolean");
+    }
+    return task.isolate;
+  }
+  return profile.isolate;
+}
+
+/**
+ * Determines the time limit of a task.
+ * A `timeout` exported from the task module takes precedence over the options and the profile.
+ * @param {Profile} profile
+ * @param {Function} task
+ * @param {Object} opts - `{ taskTimeout?: number }`
+ * @returns {number} The time limit in milliseconds. Zero means no limit.
+ */
+function getTaskTimeout(profile, task, opts) {
+  if (task.timeout !== undefined) {
+    if (typeof task.timeout !== "number" || !(task.timeout >= 0)) {
+      throw new TypeError("'timeout' exported from a task must be a non-negative number");
+    }
+    return task.timeout;
+  }
+  if (typeof opts.taskTimeout === "number" && opts.taskTimeout >= 0) {
+    return opts.taskTimeout;
+  }
+  return profile.taskTimeout;
+}
+
+class TaskTimeoutError extends Error {
+  /**
+   * @param {number} timeout
+   */
+  constructor(timeout) {
+    super(`task timed out after ${timeout} ms`);
+    this.name = "TaskTimeoutError";
+  }
+}
+
+/**
+ * Waits for a promise to be settled, or rejects with `TaskTimeoutError` if it takes too long.
+ * @param {Promise<*>} promise
+ * @param {number} timeout - The time limit in milliseconds. Zero means no limit.
+ * @returns {Promise<*>}
+ */
+function runWithTimeout(promise, timeout) {
+  if (timeout === 0) {
+    return promise;
+  }
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new TaskTimeoutError(timeout)), timeout);
+    Promise.resolve(promise).then(
+      val => {
+        clearTimeout(timer);
+        resolve(val);
+      },
+      err => {
+        clearTimeout(timer);
+        reject(err);
+      }
+    );
+  });
+}
 
 /**
  * Runs a hook script if exists.
@@ -139,10 +516,14 @@ const hookKeys = Object.freeze({
  * @param {Browser} browser
  * @param {string} key
  * @param {boolean} enableArgRegistration
- * @returns {Promise<void>}
+ * @param {Object} [opts] - `{ args?: Object, logger?: Object }`, where `args` are additional
+ * arguments passed to the hook script, e.g. `{ taskFileName, viewport, registeredArgs }` for the
+ * `beforeEach` and `afterEach` hooks.
+ * @returns {Promise<Object|undefined>} The registered arguments if `enableArgRegistration` is
+ * `true`.
  */
-async function runHook(profile, browser, key, enableArgRegistration) {
-  const logger = getLogger("cli");
+async function runHook(profile, browser, key, enableArgRegistration, opts = {}) {
+  const logger = opts.logger || getLogger("cli");
   if (hookKeys[key] === undefined) {
     throw new Error(`unknown hook key '${key}'`);
   }
@@ -150,12 +531,12 @@ async function runHook(profile, browser, key, enableArgRegistration) {
   if (profile.hooks[key] !== undefined) {
     logger.trace(`Running ${key} hook: ${profile.hooks[key]}`);
     const hook = require(path.resolve(profile.rootDirPath(), profile.hooks[key]));
-    const args = {
+    const args = Object.assign({}, opts.args, {
       profile  : profile,
       browser  : browser,
       getLogger: getLogger,
       sleep    : sleep,
-    };
+    });
     if (enableArgRegistration) {
       args.register = (obj, value) => {
         if (isObject(obj)) {
@@ -187,7 +568,12 @@ async function runHook(profile, browser, key, enableArgRegistration) {
 
 module.exports = {
   findTasks,
+  createJobs,
   runTasks,
+  taskStatuses,
+  TaskTimeoutError,
+  summarizeResults,
+  getTaskLabel,
   hookKeys,
   runHook,
 };
@@ -9,6 +9,38 @@ function isObject(val) {
   return typeof val === "object" && val !== null;
 }
 
+/**
+ * Checks whether a value is a plain object i.e. an object but not an array.
+ * @param {*} val
+ * @returns {boolean}
+ */
+function isPlainObject(val) {
+  return isObject(val) && !Array.isArray(val);
+}
+
+/**
+ * Merges two values deeply.
+ * Plain objects are merged recursively, and any other values in `override` replace those in `base`.
+ * @param {*} base
+ * @param {*} override
+ * @returns {*} A merged value. Neither `base` nor `override` is modified.
+ */
+function deepMerge(base, override) {
+  if (override === undefined) {
+    return base;
+  }
+  if (!isPlainObject(base) || !isPlainObject(override)) {
+    return override;
+  }
+  const merged = Object.assign({}, base);
+  for (const key of Object.keys(override)) {
+    merged[key] = deepMerge(base[key], override[key]);
+  }
+  return merged;
+}
+
 module.exports = {
   isObject,
+  isPlainObject,
+  deepMerge,
 };
@@ -0,0 +1,198 @@
+"use strict";
+
+const fs = require("fs");
+const glob = require("glob");
+const path = require("path");
+const util = require("util");
+
+const { dotenvFileName } = require("./env");
+
+const globAsync = util.promisify(glob);
+
+/**
+ * Creates a watcher that watches directories (non-recursively) and calls `onChange` with the paths
+ * of changed files. Changes are debounced and passed in batches.
+ * @param {Function} onChange - Called with an array of absolute file paths.
+ * @param {Object} [opts] - `{ delay?: number }`, where `delay` is the debounce delay in
+ * milliseconds (default = 100).
+ * @returns {Object} An object containing `watchDirs(dirPaths)` (replaces the set of watched
+ * directories) and `close()` (stops watching; `watchDirs()` has no effect after that).
+ */
+function createWatcher(onChange, opts = {}) {
+  const delay = opts.delay !== undefined ? opts.delay : 100;
+  const fsWatchers = new Map();
+  let changedFilePaths = new Set();
+  let timer = null;
+  let closed = false;
+  const flush = () => {
+    timer = null;
+    const filePaths = Array.from(changedFilePaths);
+    changedFilePaths = new Set();
+    onChange(filePaths);
+  };
+  const notify = filePath => {
+    changedFilePaths.add(filePath);
+    if (timer !== null) {
+      clearTimeout(timer);
+    }
+    timer = setTimeout(flush, delay);
+  };
+  const watchDirs = dirPaths => {
+    if (closed) {
+      return;
+    }
+    for (const [dirPath, fsWatcher] of fsWatchers) {
+      if (!dirPaths.includes(dirPath)) {
+        fsWatcher.close();
+        fsWatchers.delete(dirPath);
+      }
+    }
+    for (const dirPath of dirPaths) {
+      if (fsWatchers.has(dirPath)) {
+        continue;
+      }
+      let fsWatcher;
+      try {
+        fsWatcher = fs.watch(dirPath, (eventType, fileName) => {
+          if (fileName === null || fileName === undefined) {
+            return;
+          }
+          notify(path.resolve(dirPath, String(fileName)));
+        });
+      } catch (err) {
+        // ignore ENOENT; the directory may have been removed
+        if (err.code === "ENOENT") {
+          continue;
+        }
+        throw err;
+      }
+      fsWatcher.on("error", () => {
+        // the directory may have been removed; it will be unwatched by the next `watchDirs()`
+      });
+      fsWatchers.set(dirPath, fsWatcher);
+    }
+  };
+  const close = () => {
+    closed = true;
+    if (timer !== null) {
+      clearTimeout(timer);
+      timer = null;
+    }
+    for (const fsWatcher of fsWatchers.values()) {
+      fsWatcher.close();
+    }
+    fsWatchers.clear();
+  };
+  return {
+    watchDirs,
+    close,
+  };
+}
+
+/**
+ * Lists a directory and all its subdirectories.
+ * @param {string} dirPath
+ * @returns {Promise<string[]>} The absolute paths of the directories.
+ */
+async function listDirs(dirPath) {
+  const subDirPaths = await globAsync("**/", {
+    cwd     : dirPath,
+    absolute: true,
+  });
+  const dirPaths = [dirPath, ...subDirPaths.map(subDirPath => path.resolve(subDirPath))];
+  return dirPaths.filter((elem, i) => dirPaths.indexOf(elem) === i);
+}
+
+/**
+ * Returns the absolute paths of the hook scripts of a profile.
+ * @param {Profile} profile
+ * @returns {string[]}
+ */
+function getHookFilePaths(profile) {
+  return Object.values(profile.hooks)
+    .map(hookFilePath => path.resolve(profile.rootDirPath(), hookFilePath));
+}
+
+/**
+ * Returns the paths of the files the configuration is loaded from, i.e. the configuration file and
+ * the `.env` file next to it.
+ * @param {Config} config
+ * @returns {string[]}
+ */
+function getConfigFilePaths(config) {
+  return [
+    config.filePath(),
+    path.resolve(path.dirname(config.filePath()), dotenvFileName),
+  ];
+}
+
+/**
+ * Removes modules in a directory from the module cache, so that they are loaded again when
+ * required next time. Modules in `node_modules` are kept.
+ * @param {string} dirPath
+ * @param {string[]} [filePaths] - Paths to modules that are also removed, such as hook scripts
+ * outside the directory.
+ * @returns {void}
+ */
+function clearModuleCache(dirPath, filePaths = []) {
+  for (const modulePath of Object.keys(require.cache)) {
+    const relativePath = path.relative(dirPath, modulePath);
+    if (relativePath.startsWith("..") || path.isAbsolute(relativePath)) {
+      continue;
+    }
+    if (!relativePath.split(path.sep).includes("node_modules")) {
+      delete require.cache[modulePath];
+    }
+  }
+  for (const filePath of filePaths) {
+    let modulePath;
+    try {
+      modulePath = require.resolve(filePath);
+    } catch (err) {
+      // the module may have been removed
+      continue;
+    }
+    delete require.cache[modulePath];
+  }
+}
+
+/**
+ * Determines which tasks should be re-run after files have changed.
+ * @param {Config} config
+ * @param {Profile} profile
+ * @param {string[]} taskFilePaths - The paths to the task files currently matched.
+ * @param {string[]} changedFilePaths
+ * @returns {string[]|null} The paths to the changed task files, or `null` if all tasks should be
+ * re-run i.e. the configuration file, the `.env` file, a hook script or a module in the tasks
+ * directory other than tasks has changed.
+ */
+function getChangedTasks(config, profile, taskFilePaths, changedFilePaths) {
+  const configFilePaths = getConfigFilePaths(config);
+  const hookFilePaths = getHookFilePaths(profile);
+  const tasksDirPath = profile.tasksDirPath() + path.sep;
+  const changedTaskFilePaths = [];
+  for (const filePath of changedFilePaths) {
+    if (configFilePaths.includes(filePath) || hookFilePaths.includes(filePath)) {
+      return null;
+    }
+    if (!filePath.startsWith(tasksDirPath)) {
+      continue;
+    }
+    if (taskFilePaths.includes(filePath)) {
+      changedTaskFilePaths.push(filePath);
+    } else if (/\.(js|json)$/.test(filePath)) {
+      // a module that may be required by tasks
+      return null;
+    }
+  }
+  return changedTaskFilePaths;
+}
+
+module.exports = {
+  createWatcher,
+  listDirs,
+  getHookFilePaths,
+  getConfigFilePaths,
+  clearModuleCache,
+  getChangedTasks,
+};